@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Express middleware for researcher/admin routes. Requests must send
+// "Authorization: Bearer <token>" matching ADMIN_API_TOKEN; with no token
+// configured every admin route is disabled.
+function requireAdmin(token = process.env.ADMIN_API_TOKEN) {
+    const expected = token ? Buffer.from(token) : null;
+
+    return (req, res, next) => {
+        if (!expected) {
+            return res.status(503).json({ error: 'Admin API is not configured' });
+        }
+
+        const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+        const provided = match ? Buffer.from(match[1].trim()) : Buffer.alloc(0);
+
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        next();
+    };
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { loadPromptTemplate } = require('./prompts');
+const { loadTasks } = require('./taskEngine');
+
+const BOTS_DIR = path.join(__dirname, '..', 'config', 'bots');
+const DEFAULT_BOT_ID = 'guiding-bot';
+
+// Reads one profile and resolves its prompt template and task file relative to the profile file
+function loadBotProfile(filePath) {
+    const profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const name = path.basename(filePath);
+
+    if (!profile.id || typeof profile.id !== 'string') {
+        throw new Error(`Bot profile ${name} needs an id`);
+    }
+    if (profile.id.length > 50) {
+        throw new Error(`Bot profile ${name}: id must fit in chat_messages.chatbot_id (50 characters)`);
+    }
+    if (!profile.promptTemplate) {
+        throw new Error(`Bot profile ${name} needs a promptTemplate`);
+    }
+
+    const templatePath = path.resolve(path.dirname(filePath), profile.promptTemplate);
+    return {
+        id: profile.id,
+        description: profile.description || '',
+        template: loadPromptTemplate(templatePath),
+        model: profile.model || null,
+        temperature: profile.temperature ?? 0.7,
+        maxTokens: profile.maxTokens ?? 200,
+        // Tokens per UTC day before the bot stops answering; null for no limit
+        dailyTokenBudget: profile.dailyTokenBudget ?? null,
+        retrieval: profile.retrieval || {},
+        tasks: profile.tasks ? loadTasks(path.resolve(path.dirname(filePath), profile.tasks)) : [],
+        guardrail: {
+            enabled: profile.guardrail?.enabled !== false,
+            maxAttempts: profile.guardrail?.maxAttempts,
+            rules: profile.guardrail?.rules || {}
+        }
+    };
+}
+
+// Every *.json profile in the directory, keyed by id
+function loadBotProfiles(dir = BOTS_DIR) {
+    const profiles = new Map();
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const profile = loadBotProfile(path.join(dir, file));
+            if (profiles.has(profile.id)) {
+                throw new Error(`Duplicate bot profile id: ${profile.id}`);
+            }
+            profiles.set(profile.id, profile);
+        });
+
+    if (!profiles.size) {
+        throw new Error(`No bot profiles found in ${dir}`);
+    }
+
+    return profiles;
+}
+
+module.exports = { loadBotProfiles, loadBotProfile, BOTS_DIR, DEFAULT_BOT_ID };
@@ -0,0 +1,380 @@
+const { renderPrompt } = require('./prompts');
+const { parseCitations, correctionMessage } = require('./guardrail');
+const { verifyCitations, buildCitations, removeCitations } = require('./citations');
+const { countTokens } = require('./chunker');
+
+const NO_RESULTS_REPLY = "I couldn't find any interviews directly addressing this topic.";
+
+function addUsage(total, usage) {
+    if (!usage) return;
+    total.promptTokens += usage.prompt_tokens || 0;
+    total.completionTokens += usage.completion_tokens || 0;
+    total.totalTokens += usage.total_tokens || 0;
+}
+
+// Usage of a stream that was cut off before the provider reported it
+function estimateUsage(messages, response) {
+    const promptTokens = messages.reduce((sum, message) => sum + countTokens(message.content || ''), 0);
+    const completionTokens = countTokens(response);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+// One chat turn for one bot profile, shared by the JSON and the streaming routes:
+//   prepareTurn  - store the question, rewrite it, retrieve context, build messages
+//   generateReply / streamReply - get a reply that passes the guardrail
+//   completeTurn - store the reply with its provenance, build citations
+class ChatService {
+    // guardrail is null for profiles that don't enforce the guiding rules,
+    // taskEngine is null for profiles without scripted tasks. getSearchEngine
+    // returns the current engine when the index can be reloaded while running.
+    constructor({ pool, provider, searchEngine, getSearchEngine, queryRewriter, guardrail, taskEngine = null, sessionStore, usageTracker = null, profile, maxAttempts = 2 }) {
+        this.pool = pool;
+        this.provider = provider;
+        this.getSearchEngine = getSearchEngine || (() => searchEngine);
+        this.queryRewriter = queryRewriter;
+        this.guardrail = guardrail;
+        this.taskEngine = taskEngine;
+        this.sessionStore = sessionStore;
+        this.usageTracker = usageTracker;
+        this.profile = profile;
+        this.chatbotId = profile.id;
+        this.maxAttempts = profile.guardrail.maxAttempts || maxAttempts;
+        this.completionOptions = {
+            model: profile.model || provider.chatModel,
+            temperature: profile.temperature,
+            maxTokens: profile.maxTokens
+        };
+    }
+
+    // Today's usage against the profile's daily token budget
+    async budgetStatus() {
+        const budget = this.profile.dailyTokenBudget;
+        const today = this.usageTracker ? await this.usageTracker.today(this.chatbotId) : null;
+        return {
+            botId: this.chatbotId,
+            budget,
+            today,
+            exceeded: Boolean(budget && today && today.totalTokens >= budget)
+        };
+    }
+
+    // condition is the participant's experimental condition, if a study is running
+    async prepareTurn({ question, sessionId, qualtricsId, filters, condition = null }) {
+        const startedAt = Date.now();
+        const conditionId = condition?.conditionId || null;
+        // Rewriting and embedding the question count against the budget too
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        const onUsage = tokens => addUsage(usage, tokens);
+
+        // Load the history before storing the question so it isn't included twice
+        const history = await this.sessionStore.startTurn({ sessionId, qualtricsId });
+
+        // Store user's question in database
+        const questionRow = await this.pool.query(
+            'INSERT INTO chat_messages (qualtrics_id, session_id, role, content, chatbot_id, condition_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+            [qualtricsId, sessionId, 'user', question, this.chatbotId, conditionId]
+        );
+
+        // Follow-ups like "yes" are searched as the topic they refer to
+        const searchQuery = await this.queryRewriter.rewrite(question, history);
+        addUsage(usage, searchQuery.usage);
+        console.log('Search query:', {
+            sessionId,
+            original: question,
+            rewritten: searchQuery.query,
+            method: searchQuery.method
+        });
+
+        // A turn keeps the engine it started with, even if the index is reloaded meanwhile
+        const searchEngine = this.getSearchEngine();
+        const context = await searchEngine.findRelevantContext(searchQuery.query, filters, {
+            ...this.profile.retrieval,
+            ...condition?.retrieval,
+            onUsage
+        });
+
+        const topics = searchEngine.suggestTopics(context.map(item => item.interview.id));
+
+        const taskMatch = this.taskEngine ? await this.taskEngine.match(searchQuery.query, { onUsage }) : null;
+        const task = taskMatch?.task || null;
+        if (task) {
+            console.log('Matched task:', { sessionId, task: task.id, mode: task.mode, method: taskMatch.method });
+        }
+
+        return {
+            question,
+            sessionId,
+            qualtricsId,
+            conditionId,
+            questionId: questionRow.rows[0]?.id ?? null,
+            history,
+            searchQuery,
+            searchEngine,
+            context,
+            topics,
+            task,
+            // Citations a task requires count as verified even if retrieval missed them
+            citationContext: task ? this.taskEngine.citationContext(task, context) : context,
+            startedAt,
+            model: this.completionOptions.model,
+            usage,
+            messages: [
+                {
+                    role: "system",
+                    content: renderPrompt(this.profile.template, { context, topics })
+                },
+                ...(task ? [{ role: "system", content: this.taskEngine.instructions(task, context) }] : []),
+                ...history,
+                {
+                    role: "user",
+                    content: question
+                }
+            ]
+        };
+    }
+
+    async createCompletion(turn, messages) {
+        const completion = await this.provider.complete({
+            ...this.completionOptions,
+            messages
+        });
+        this.recordUsage(turn, completion.usage, completion.model);
+        return completion.content;
+    }
+
+    // Adds up token usage over every attempt of a turn
+    recordUsage(turn, usage, model) {
+        if (model) turn.model = model;
+        addUsage(turn.usage, usage);
+    }
+
+    // Adds a turn's usage to the bot's daily total. Aborted turns are never
+    // completed, so the stream route records them with this directly.
+    async trackUsage(turn) {
+        if (!this.usageTracker) return;
+        try {
+            await this.usageTracker.record(this.chatbotId, turn.usage);
+        } catch (error) {
+            console.error('Failed to record token usage:', error);
+        }
+    }
+
+    // Forced tasks are answered from the task file without calling the model
+    forcedReply(turn) {
+        return {
+            response: this.taskEngine.render(turn.task, turn.context),
+            replaced: false,
+            guardrail: { attempts: 0, action: 'task', check: null }
+        };
+    }
+
+    async generateReply(turn) {
+        if (turn.task?.mode === 'force') return this.forcedReply(turn);
+
+        const response = await this.createCompletion(turn, turn.messages);
+        return this.enforceGuardrail(turn, response);
+    }
+
+    // Streams the first attempt token by token. Replies the guardrail or a task
+    // has to check are held back until they pass, so participants never read a
+    // reply that is then replaced; only the approved reply is sent, in one piece.
+    // streamed is the text the participant was sent.
+    async streamReply(turn, { onToken, signal }) {
+        if (turn.task?.mode === 'force') {
+            const reply = this.forcedReply(turn);
+            onToken(reply.response);
+            return { ...reply, streamed: reply.response };
+        }
+
+        const holdBack = Boolean(this.guardrail || turn.task);
+        const stream = this.provider.stream({
+            ...this.completionOptions,
+            messages: turn.messages,
+            signal
+        });
+
+        let response = '';
+        let usageReported = false;
+        try {
+            for await (const { token, usage } of stream) {
+                if (usage) {
+                    usageReported = true;
+                    this.recordUsage(turn, usage);
+                }
+                if (token) {
+                    response += token;
+                    if (!holdBack) onToken(token);
+                }
+            }
+        } finally {
+            if (signal?.aborted && !usageReported) this.recordUsage(turn, estimateUsage(turn.messages, response));
+        }
+
+        const reply = await this.enforceGuardrail(turn, response);
+        if (!holdBack) return { ...reply, streamed: response };
+
+        if (!signal?.aborted) onToken(reply.response);
+        return { ...reply, streamed: reply.response };
+    }
+
+    // Checks a reply against the guiding rules. A reply that breaks them is
+    // regenerated with a correction; if the last attempt still fails, a safe
+    // template built from the retrieved context is used instead.
+    async enforceGuardrail(turn, firstResponse) {
+        if (!this.guardrail && !turn.task) {
+            return { response: firstResponse, replaced: false, guardrail: { attempts: 1, action: 'disabled', check: null } };
+        }
+
+        const tags = this.allowedWords(turn);
+        let response = firstResponse;
+        let check = null;
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            if (attempt > 1) {
+                response = await this.createCompletion(turn, [
+                    ...turn.messages,
+                    { role: "assistant", content: response },
+                    { role: "system", content: correctionMessage(check.violations) }
+                ]);
+            }
+
+            check = this.checkReply(turn, response, tags);
+            if (check.valid) {
+                return {
+                    response,
+                    replaced: attempt > 1,
+                    guardrail: { attempts: attempt, action: attempt > 1 ? 'regenerated' : 'passed', check }
+                };
+            }
+
+            const action = attempt < this.maxAttempts ? 'regenerate' : 'fallback';
+            await this.logGuardrailEvent(turn, { attempt, action, violations: check.violations, response });
+        }
+
+        return {
+            response: turn.task
+                ? this.taskEngine.render(turn.task, turn.context)
+                : this.guardrail.fallbackResponse(turn.context, { relatedTopic: tags[0] }),
+            replaced: true,
+            guardrail: { attempts: this.maxAttempts, action: 'fallback', check }
+        };
+    }
+
+    // Tags of the retrieved interviews and the suggested topics. Topic suggestions
+    // come from the tag vocabulary, so their words don't count as leaks.
+    allowedWords(turn) {
+        return [
+            ...turn.context.flatMap(item => turn.searchEngine.getInterviewTags(item.interview.id)),
+            ...turn.topics
+        ];
+    }
+
+    // Guardrail rules plus whatever a matched task requires
+    checkReply(turn, response, tags) {
+        const check = this.guardrail
+            ? this.guardrail.validate(response, turn.citationContext, { allowedWords: tags })
+            : { valid: true, kind: null, violations: [], metrics: null };
+
+        if (turn.task) {
+            const taskViolations = this.taskEngine.check(turn.task, response, turn.context);
+            check.violations = [...check.violations, ...taskViolations];
+            check.valid = check.violations.length === 0;
+        }
+
+        return check;
+    }
+
+    async logGuardrailEvent({ qualtricsId, sessionId }, { attempt, action, violations, response }) {
+        console.warn('Guardrail violation:', {
+            qualtricsId,
+            sessionId,
+            attempt,
+            action,
+            violations: violations.map(violation => violation.type)
+        });
+
+        try {
+            await this.pool.query(
+                'INSERT INTO guardrail_events (qualtrics_id, session_id, chatbot_id, attempt, action, violations, response) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                [qualtricsId, sessionId, this.chatbotId, attempt, action, JSON.stringify(violations), response]
+            );
+        } catch (error) {
+            console.error('Failed to log guardrail event:', error);
+        }
+    }
+
+    async completeTurn(turn, { response: reply, guardrail }) {
+        // Only citations backed by the retrieved context are kept, in the
+        // citations and in the reply text, whether or not the profile has a guardrail
+        const { verified, invalid } = verifyCitations(parseCitations(reply), turn.citationContext);
+        let response = reply;
+        if (invalid.length) {
+            console.warn('Dropping unverified citations:', invalid.map(({ interviewId, name, pages, reason }) => ({ interviewId, name, pages, reason })));
+            response = removeCitations(reply, invalid) || NO_RESULTS_REPLY;
+        }
+        const citations = buildCitations(verified, turn.citationContext, id => turn.searchEngine.metadata.get(id));
+
+        // Store bot's response in database, with how it was produced
+        const responseRow = await this.pool.query(
+            `INSERT INTO chat_messages (
+                qualtrics_id, session_id, role, content, chatbot_id,
+                search_query, retrieval, model, temperature,
+                prompt_tokens, completion_tokens, total_tokens, latency_ms, guardrail, citations, condition_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+            RETURNING id`,
+            [
+                turn.qualtricsId, turn.sessionId, 'assistant', response, this.chatbotId,
+                turn.searchQuery.query,
+                JSON.stringify(this.retrievalLog(turn)),
+                turn.model,
+                this.completionOptions.temperature,
+                turn.usage.promptTokens,
+                turn.usage.completionTokens,
+                turn.usage.totalTokens,
+                Date.now() - turn.startedAt,
+                JSON.stringify(this.guardrailLog(guardrail, turn.task)),
+                JSON.stringify(citations),
+                turn.conditionId
+            ]
+        );
+
+        await this.trackUsage(turn);
+
+        // Message ids let the frontend attach feedback to this reply. flagged
+        // lists the citations that were taken out of the reply.
+        return {
+            response,
+            citations,
+            flagged: invalid.map(({ interviewId, name, pages, reason }) => ({ interviewId, name, pages, reason })),
+            questionId: turn.questionId,
+            messageId: responseRow.rows[0]?.id ?? null
+        };
+    }
+
+    retrievalLog({ searchQuery, context }) {
+        return {
+            method: searchQuery.method,
+            interviews: context.map(item => ({
+                interviewId: item.interview.id,
+                name: item.interview.name,
+                pages: item.interview.pages,
+                relevanceScore: item.interview.relevanceScore,
+                chunks: item.chunks || []
+            }))
+        };
+    }
+
+    guardrailLog(guardrail, task) {
+        if (!guardrail) return null;
+        return {
+            task: task?.id || null,
+            action: guardrail.action,
+            attempts: guardrail.attempts,
+            kind: guardrail.check?.kind,
+            violations: (guardrail.check?.violations || []).map(violation => violation.type),
+            metrics: guardrail.check?.metrics
+        };
+    }
+}
+
+module.exports = { ChatService };
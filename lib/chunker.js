@@ -0,0 +1,179 @@
+const { encode } = require('gpt-3-encoder');
+
+// Speaker labels at the start of a line: "SARAH SCHULMAN:", "SS:", "Q:", "Interviewer:".
+// Mid-line capitals before a colon ("the FDA: it was huge") are not speakers.
+const SPEAKER_LABEL = /(?:^|\n)[ \t]*(\p{Lu}[\p{Lu}'’-]+(?: \p{Lu}[\p{Lu}'’-]+){0,3}|Q|A|Interviewer|Narrator|Question|Answer):\s/gu;
+const SENTENCE_END = /(?<=[.!?]["'”’)]?)\s+(?=["“(]?[A-Z0-9])/;
+
+const countTokens = text => encode(text).length;
+
+function splitSentences(text) {
+    return text.split(SENTENCE_END)
+        .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+// Splits one page of text into pieces at speaker labels. The first piece has
+// no speaker when the page continues a turn from the previous page.
+function splitBySpeaker(text) {
+    const pieces = [];
+    let lastIndex = 0;
+    let speaker = null;
+
+    for (const match of text.matchAll(SPEAKER_LABEL)) {
+        const labelStart = match.index + match[0].indexOf(match[1]);
+        const before = text.slice(lastIndex, labelStart).trim();
+        if (before) pieces.push({ speaker, text: before });
+        speaker = match[1];
+        lastIndex = labelStart;
+    }
+
+    const rest = text.slice(lastIndex).trim();
+    if (rest) pieces.push({ speaker, text: rest });
+    return pieces;
+}
+
+// Turns one document's pages (in order) into speaker turns made of sentences,
+// each sentence remembering the page it came from
+function buildTurns(pages) {
+    const turns = [];
+    let current = null;
+
+    pages.forEach(({ text, page }) => {
+        splitBySpeaker(text || '').forEach(piece => {
+            if (piece.speaker || !current) {
+                current = { speaker: piece.speaker, sentences: [] };
+                turns.push(current);
+            }
+            splitSentences(piece.text).forEach(sentence => {
+                current.sentences.push({ text: sentence, page, tokens: countTokens(sentence) });
+            });
+        });
+    });
+
+    return turns.filter(turn => turn.sentences.length);
+}
+
+function makeUnit(speaker, sentences) {
+    return {
+        speaker,
+        sentences,
+        text: sentences.map(sentence => sentence.text).join(' '),
+        startPage: Math.min(...sentences.map(sentence => sentence.page)),
+        endPage: Math.max(...sentences.map(sentence => sentence.page)),
+        tokens: sentences.reduce((sum, sentence) => sum + sentence.tokens, 0)
+    };
+}
+
+// Breaks each turn into units no larger than maxTokens, splitting long turns
+// at sentence boundaries
+function buildUnits(turns, maxTokens) {
+    const units = [];
+
+    turns.forEach(turn => {
+        let sentences = [];
+        let tokens = 0;
+
+        const flush = () => {
+            if (!sentences.length) return;
+            units.push(makeUnit(turn.speaker, sentences));
+            sentences = [];
+            tokens = 0;
+        };
+
+        turn.sentences.forEach(sentence => {
+            if (tokens + sentence.tokens > maxTokens && sentences.length) flush();
+            sentences.push(sentence);
+            tokens += sentence.tokens;
+        });
+        flush();
+    });
+
+    return units;
+}
+
+// The last sentences of a chunk, up to overlapTokens, kept with their speakers
+function trailingSentences(window, overlapTokens) {
+    const carried = [];
+    let carriedTokens = 0;
+
+    for (let i = window.length - 1; i >= 0; i--) {
+        const sentences = [];
+        for (let j = window[i].sentences.length - 1; j >= 0; j--) {
+            const sentence = window[i].sentences[j];
+            if (carriedTokens + sentence.tokens > overlapTokens) break;
+            sentences.unshift(sentence);
+            carriedTokens += sentence.tokens;
+        }
+        if (sentences.length) carried.unshift(makeUnit(window[i].speaker, sentences));
+        if (sentences.length < window[i].sentences.length) break;
+    }
+
+    return { carried, carriedTokens };
+}
+
+function chunkDocument(pages, { source, maxTokens = 500, overlapTokens = 50 } = {}) {
+    // Units leave room for the overlap, so even a full-size turn has the end
+    // of the previous chunk in front of it
+    const overlap = Math.max(Math.min(overlapTokens, Math.floor(maxTokens / 2)), 0);
+    const units = buildUnits(buildTurns(pages), maxTokens - overlap);
+    const labels = new Map(pages.map(({ page, pageLabel }) => [page, pageLabel ?? null]));
+    const chunks = [];
+    let window = [];
+    let windowTokens = 0;
+    let emittedThrough = -1;
+
+    const emit = endIndex => {
+        const text = window.map(unit => unit.text).join('\n');
+        const startPage = Math.min(...window.map(unit => unit.startPage));
+        const endPage = Math.max(...window.map(unit => unit.endPage));
+        const pageLabels = [];
+        for (let page = startPage; page <= endPage; page++) pageLabels.push(labels.get(page) ?? null);
+
+        chunks.push({
+            text,
+            source,
+            page: startPage,
+            startPage,
+            endPage,
+            pageLabels,
+            speakers: [...new Set(window.map(unit => unit.speaker).filter(Boolean))],
+            tokens: countTokens(text)
+        });
+        emittedThrough = endIndex;
+    };
+
+    units.forEach((unit, index) => {
+        if (windowTokens + unit.tokens > maxTokens && window.length) {
+            emit(index - 1);
+
+            // Carry trailing sentences into the next chunk, up to the overlap
+            const { carried, carriedTokens } = trailingSentences(window, overlap);
+            window = carried;
+            windowTokens = carriedTokens;
+        }
+        window.push(unit);
+        windowTokens += unit.tokens;
+    });
+
+    if (window.length && emittedThrough < units.length - 1) emit(units.length - 1);
+    return chunks;
+}
+
+// Groups page records by source file and chunks each document as one stream
+function chunkDocuments(pages, options = {}) {
+    const bySource = new Map();
+    pages.forEach(page => {
+        if (!bySource.has(page.title)) bySource.set(page.title, []);
+        bySource.get(page.title).push(page);
+    });
+
+    const chunks = [];
+    bySource.forEach((documentPages, source) => {
+        const ordered = [...documentPages].sort((a, b) => a.page - b.page);
+        chunks.push(...chunkDocument(ordered, { ...options, source }));
+    });
+    return chunks;
+}
+
+module.exports = { chunkDocuments, chunkDocument, splitBySpeaker, countTokens };
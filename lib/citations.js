@@ -0,0 +1,129 @@
+// Checks the interviews and pages a reply cites against the retrieved context
+// and turns the valid ones into structured citations for the frontend.
+
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Expands ["6-8", "10"] to ["6", "7", "8", "10"]; non-numeric labels stay as they are
+function expandPages(pages) {
+    const expanded = [];
+    (pages || []).forEach(page => {
+        const match = String(page).match(/^(\d+)\s*[-–]\s*(\d+)$/);
+        if (match && Number(match[2]) >= Number(match[1])) {
+            for (let number = Number(match[1]); number <= Number(match[2]); number++) {
+                expanded.push(String(number));
+            }
+        } else {
+            expanded.push(String(page).trim());
+        }
+    });
+    return expanded;
+}
+
+// The full name, or the last name when the reply shortens it ("Soehnlein").
+// A shared first name is not enough.
+function namesMatch(cited, narrator) {
+    const citedName = normalizeName(cited);
+    const narratorName = normalizeName(narrator);
+    if (!citedName || !narratorName) return false;
+    return citedName === narratorName || citedName.split(' ').pop() === narratorName.split(' ').pop();
+}
+
+// Interviews in the context a name-only citation could mean, full-name matches first
+function interviewsNamed(name, interviews) {
+    const matches = interviews.filter(interview => namesMatch(name, interview.name));
+    const exact = matches.filter(interview => normalizeName(interview.name) === normalizeName(name));
+    return exact.length ? exact : matches;
+}
+
+function findContextInterview(citation, context) {
+    const interviews = context.map(item => item.interview).filter(Boolean);
+    if (citation.interviewId) {
+        return interviews.find(interview => String(interview.id) === String(citation.interviewId)) || null;
+    }
+
+    // Citations like "Karl Soehnlein's interview" only carry a name, which
+    // has to point to a single interview
+    const matches = interviewsNamed(citation.name, interviews);
+    return matches.length === 1 ? matches[0] : null;
+}
+
+// Splits parsed citations into ones backed by the context and ones that are not
+function verifyCitations(citations, context) {
+    const verified = [];
+    const invalid = [];
+
+    citations.forEach(citation => {
+        const interview = findContextInterview(citation, context);
+        if (!interview) {
+            const ambiguous = !citation.interviewId &&
+                interviewsNamed(citation.name, context.map(item => item.interview).filter(Boolean)).length > 1;
+            invalid.push({ ...citation, reason: ambiguous ? 'ambiguous_name' : 'interview_not_in_context' });
+            return;
+        }
+
+        if (citation.name && citation.interviewId && !namesMatch(citation.name, interview.name)) {
+            invalid.push({ ...citation, reason: 'name_does_not_match_interview' });
+            return;
+        }
+
+        const available = new Set(expandPages(interview.pages));
+        const missingPages = expandPages(citation.pages).filter(page => !available.has(page));
+        if (missingPages.length) {
+            invalid.push({ ...citation, reason: 'page_not_in_context', missingPages });
+            return;
+        }
+
+        verified.push({ ...citation, interviewId: String(interview.id) });
+    });
+
+    return { verified, invalid };
+}
+
+// metadataFor(id) returns the metadata.csv row for an interview
+function buildCitations(verified, context, metadataFor) {
+    const byInterview = new Map();
+
+    verified.forEach(citation => {
+        const existing = byInterview.get(citation.interviewId);
+        if (existing) {
+            existing.pages = [...new Set([...existing.pages, ...citation.pages])];
+            return;
+        }
+
+        const record = metadataFor(citation.interviewId) || {};
+        const item = context.find(entry => String(entry.interview?.id) === citation.interviewId);
+        const firstPage = expandPages(citation.pages)[0];
+
+        byInterview.set(citation.interviewId, {
+            interviewId: citation.interviewId,
+            narrator: record.name || item?.interview.name || citation.name,
+            pages: [...citation.pages],
+            date: record.date || null,
+            webUrl: record.web_url || null,
+            pdfName: record.pdf_name || null,
+            pdfPage: item?.pdfPages?.[firstPage] ?? null
+        });
+    });
+
+    return [...byInterview.values()];
+}
+
+// Takes the sentences of unverified citations out of a reply, so participants
+// are never sent to pages the reply can't back up
+function removeCitations(text, citations) {
+    return citations
+        .reduce((remaining, citation) => remaining.replace(citation.text, ''), String(text || ''))
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+module.exports = { verifyCitations, buildCitations, removeCitations, expandPages };
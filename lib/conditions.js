@@ -0,0 +1,177 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Between-subject experiments. A study file (config/experiments) lists
+// conditions, each a bot profile plus retrieval settings, and how participants
+// are assigned:
+//   hash     - stable hash of study id and qualtricsId, weighted per condition
+//   balanced - the condition with the fewest participants so far (by weight)
+// Assignments are stored, so a participant keeps their condition either way.
+
+const ASSIGNMENT_METHODS = ['hash', 'balanced'];
+
+function normalizeExperiment(experiment, { bots } = {}) {
+    if (!experiment.studyId) {
+        throw new Error('Experiment needs a studyId');
+    }
+
+    const assignment = experiment.assignment || 'hash';
+    if (!ASSIGNMENT_METHODS.includes(assignment)) {
+        throw new Error(`Experiment assignment must be one of ${ASSIGNMENT_METHODS.join(', ')}`);
+    }
+
+    if (!Array.isArray(experiment.conditions) || !experiment.conditions.length) {
+        throw new Error('Experiment needs at least one condition');
+    }
+
+    const ids = new Set();
+    const conditions = experiment.conditions.map(condition => {
+        if (!condition.id) throw new Error('Every condition needs an id');
+        if (ids.has(condition.id)) throw new Error(`Duplicate condition id: ${condition.id}`);
+        ids.add(condition.id);
+
+        if (bots && !bots.has(condition.botId)) {
+            throw new Error(`Condition ${condition.id} uses unknown bot profile: ${condition.botId}`);
+        }
+
+        return {
+            id: condition.id,
+            botId: condition.botId,
+            retrieval: condition.retrieval || {},
+            weight: condition.weight ?? 1
+        };
+    });
+
+    return { studyId: experiment.studyId, assignment, conditions };
+}
+
+function loadExperiment(filePath, options) {
+    return normalizeExperiment(JSON.parse(fs.readFileSync(filePath, 'utf8')), options);
+}
+
+// Same participant and study always land on the same condition
+function hashCondition(experiment, qualtricsId) {
+    const hash = crypto.createHash('sha256').update(`${experiment.studyId}:${qualtricsId}`).digest();
+    const totalWeight = experiment.conditions.reduce((sum, condition) => sum + condition.weight, 0);
+    let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+    for (const condition of experiment.conditions) {
+        point -= condition.weight;
+        if (point < 0) return condition;
+    }
+    return experiment.conditions[experiment.conditions.length - 1];
+}
+
+class ConditionAssigner {
+    constructor(pool, experiment) {
+        this.pool = pool;
+        this.experiment = experiment;
+    }
+
+    conditionById(id) {
+        return this.experiment.conditions.find(condition => condition.id === id) || null;
+    }
+
+    describe(condition, qualtricsId, method) {
+        return {
+            studyId: this.experiment.studyId,
+            qualtricsId,
+            conditionId: condition.id,
+            botId: condition.botId,
+            retrieval: condition.retrieval,
+            method
+        };
+    }
+
+    async lookup(qualtricsId) {
+        const result = await this.pool.query(
+            'SELECT condition_id, method FROM condition_assignments WHERE study_id = $1 AND qualtrics_id = $2',
+            [this.experiment.studyId, qualtricsId]
+        );
+        const row = result.rows[0];
+        const condition = row && this.conditionById(row.condition_id);
+
+        if (row && !condition) {
+            console.warn('Stored condition is no longer in the experiment:', { qualtricsId, conditionId: row.condition_id });
+        }
+        return condition ? this.describe(condition, qualtricsId, row.method) : null;
+    }
+
+    // Returns the participant's condition, assigning one on first contact
+    async assign(qualtricsId) {
+        return this.experiment.assignment === 'balanced'
+            ? this.assignBalanced(qualtricsId)
+            : this.assignByHash(qualtricsId);
+    }
+
+    async assignByHash(qualtricsId) {
+        const condition = hashCondition(this.experiment, qualtricsId);
+        const result = await this.pool.query(
+            `INSERT INTO condition_assignments (study_id, qualtrics_id, condition_id, bot_id, method)
+             VALUES ($1, $2, $3, $4, 'hash')
+             ON CONFLICT (study_id, qualtrics_id) DO NOTHING
+             RETURNING condition_id`,
+            [this.experiment.studyId, qualtricsId, condition.id, condition.botId]
+        );
+
+        if (result.rows.length) {
+            console.log('Assigned condition:', { qualtricsId, studyId: this.experiment.studyId, conditionId: condition.id, method: 'hash' });
+            return this.describe(condition, qualtricsId, 'hash');
+        }
+        return (await this.lookup(qualtricsId)) || this.describe(condition, qualtricsId, 'hash');
+    }
+
+    // Counting and inserting happen under a per-study lock so concurrent
+    // participants can't both see the same counts
+    async assignBalanced(qualtricsId) {
+        const client = await this.pool.connect();
+        const { studyId, conditions } = this.experiment;
+
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`condition_assignments:${studyId}`]);
+
+            const existing = await client.query(
+                'SELECT condition_id, method FROM condition_assignments WHERE study_id = $1 AND qualtrics_id = $2',
+                [studyId, qualtricsId]
+            );
+            const existingCondition = existing.rows[0] && this.conditionById(existing.rows[0].condition_id);
+            if (existingCondition) {
+                await client.query('COMMIT');
+                return this.describe(existingCondition, qualtricsId, existing.rows[0].method);
+            }
+
+            const counts = await client.query(
+                'SELECT condition_id, COUNT(*)::int AS count FROM condition_assignments WHERE study_id = $1 GROUP BY condition_id',
+                [studyId]
+            );
+            const countFor = id => counts.rows.find(row => row.condition_id === id)?.count || 0;
+
+            // Ties go to the participant's hashed condition, so order doesn't bias the split
+            const preferred = hashCondition(this.experiment, qualtricsId);
+            const condition = [...conditions].sort((a, b) =>
+                countFor(a.id) / a.weight - countFor(b.id) / b.weight ||
+                (b === preferred) - (a === preferred)
+            )[0];
+
+            await client.query(
+                `INSERT INTO condition_assignments (study_id, qualtrics_id, condition_id, bot_id, method)
+                 VALUES ($1, $2, $3, $4, 'balanced')
+                 ON CONFLICT (study_id, qualtrics_id) DO UPDATE SET
+                     condition_id = EXCLUDED.condition_id, bot_id = EXCLUDED.bot_id, method = EXCLUDED.method, assigned_at = NOW()`,
+                [studyId, qualtricsId, condition.id, condition.botId]
+            );
+            await client.query('COMMIT');
+
+            console.log('Assigned condition:', { qualtricsId, studyId, conditionId: condition.id, method: 'balanced' });
+            return this.describe(condition, qualtricsId, 'balanced');
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = { ConditionAssigner, loadExperiment, normalizeExperiment, hashCondition };
@@ -0,0 +1,18 @@
+// Minimal CSV writing for the export and analytics routes (RFC 4180 quoting)
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date
+        ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+    return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+function toCsv(columns, rows) {
+    return csvRow(columns) + rows.map(row => csvRow(columns.map(column => row[column]))).join('');
+}
+
+module.exports = { csvValue, csvRow, toCsv };
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function hashContent(...parts) {
+    const hash = crypto.createHash('sha256');
+    parts.forEach(part => hash.update(Buffer.isBuffer(part) ? part : String(part)).update('\0'));
+    return hash.digest('hex');
+}
+
+// Append-only JSONL store of { hash, embedding } records. Every embedding is
+// written as soon as it arrives, so an interrupted run resumes from the last
+// completed call instead of starting over.
+class EmbeddingCache {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = new Map();
+    }
+
+    load() {
+        this.entries = new Map();
+        if (!fs.existsSync(this.filePath)) return this;
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        lines.forEach((line, lineNumber) => {
+            if (!line.trim()) return;
+            try {
+                const { hash, embedding } = JSON.parse(line);
+                if (hash && Array.isArray(embedding)) this.entries.set(hash, embedding);
+            } catch (error) {
+                // A crash mid-write can leave a truncated last line; skip it
+                console.warn(`Skipping unreadable cache line ${lineNumber + 1} in ${this.filePath}`);
+            }
+        });
+        return this;
+    }
+
+    get(hash) {
+        return this.entries.get(hash);
+    }
+
+    has(hash) {
+        return this.entries.has(hash);
+    }
+
+    add(hash, embedding) {
+        this.entries.set(hash, embedding);
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify({ hash, embedding }) + '\n');
+    }
+
+    // Rewrites the file keeping only the hashes still in use
+    compact(keepHashes) {
+        const keep = new Set(keepHashes);
+        const lines = [];
+        this.entries.forEach((embedding, hash) => {
+            if (keep.has(hash)) lines.push(JSON.stringify({ hash, embedding }));
+            else this.entries.delete(hash);
+        });
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(`${this.filePath}.tmp`, lines.length ? lines.join('\n') + '\n' : '');
+        fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    }
+}
+
+module.exports = { EmbeddingCache, hashContent };
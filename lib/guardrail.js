@@ -0,0 +1,222 @@
+// Post-generation checks for the guiding bot. A reply may only point
+// participants to interviews and pages; it must follow the citation template
+// and must not repeat or paraphrase the retrieved transcript text.
+
+const { verifyCitations } = require('./citations');
+
+const PAGE_LIST = '([0-9ivxlcdm]+(?:\\s*[-–]\\s*[0-9ivxlcdm]+)?(?:\\s*(?:,|and|&)\\s*[0-9ivxlcdm]+(?:\\s*[-–]\\s*[0-9ivxlcdm]+)?)*)';
+const CITATION_PATTERN = new RegExp(
+    '(?:(?:additionally|also|and|first|second|finally),?\\s+)?you can (?:also )?find relevant information in\\s+' +
+    '(?:the transcript of interview #\\s?(\\d+) with (.{2,60}?)|(?:the transcript of )?(.{2,60}?)\'s interview)' +
+    '\\s+on pages?(?:\\(s\\))?\\s+' + PAGE_LIST + '\\s*[.!]?',
+    'gi'
+);
+const TOPIC_PATTERN = /this section (?:discusses|covers|is about) ([^.?!\n]*)[.!]?/gi;
+const FOLLOW_UP_PATTERN = /would you like to know where to find (?:more )?information (?:about|on) ([^?\n]*)\?/gi;
+const NO_RESULTS_PATTERN = /i couldn['’]t find any interviews directly addressing this topic[.!]?/gi;
+const GREETING_PATTERN = /^(?:hi|hello|hey|thanks|thank you|you['’]re welcome|sure|of course|great question|good question)\b/i;
+
+const STOPWORDS = new Set([
+    'about', 'after', 'also', 'been', 'before', 'being', 'could', 'find', 'from', 'have', 'information',
+    'interview', 'interviews', 'into', 'know', 'like', 'more', 'page', 'pages', 'relevant', 'section',
+    'some', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'topic', 'transcript',
+    'were', 'what', 'when', 'where', 'which', 'while', 'with', 'would', 'your'
+]);
+
+const DEFAULT_OPTIONS = {
+    ngramSize: 5,
+    maxVerbatimNgrams: 0,
+    maxSharedContentWords: 5,
+    maxTopicWords: 5,
+    maxFollowUpWords: 10,
+    maxExtraWords: 12,
+    maxConversationalWords: 40
+};
+
+function words(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9']+/)
+        .map(word => word.replace(/^'+|'+$/g, ''))
+        .filter(Boolean);
+}
+
+function ngrams(tokens, size) {
+    const grams = new Set();
+    for (let i = 0; i + size <= tokens.length; i++) {
+        grams.add(tokens.slice(i, i + size).join(' '));
+    }
+    return grams;
+}
+
+function parsePageList(value) {
+    return value
+        .split(/\s*(?:,|and|&)\s*/i)
+        .map(part => part.replace(/\s*[-–]\s*/, '-').trim())
+        .filter(Boolean);
+}
+
+// Pulls the interview citations out of a reply
+function parseCitations(text) {
+    const citations = [];
+    for (const match of String(text || '').matchAll(CITATION_PATTERN)) {
+        citations.push({
+            interviewId: match[1] || null,
+            name: (match[2] || match[3] || '').trim(),
+            pages: parsePageList(match[4]),
+            text: match[0].trim()
+        });
+    }
+    return citations;
+}
+
+class ResponseGuardrail {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    validate(response, context = [], { allowedWords = [] } = {}) {
+        const text = String(response || '').trim();
+        const violations = [];
+        const parsedCitations = parseCitations(text);
+        const { verified: citations, invalid: invalidCitations } = verifyCitations(parsedCitations, context);
+        const topics = [...text.matchAll(TOPIC_PATTERN)].map(match => match[1].trim());
+        const followUps = [...text.matchAll(FOLLOW_UP_PATTERN)].map(match => match[1].trim());
+        const noResults = NO_RESULTS_PATTERN.test(text);
+        NO_RESULTS_PATTERN.lastIndex = 0;
+
+        // Whatever is left after removing the template parts is free text
+        const extra = [CITATION_PATTERN, TOPIC_PATTERN, FOLLOW_UP_PATTERN, NO_RESULTS_PATTERN]
+            .reduce((remaining, pattern) => remaining.replace(pattern, ' '), text)
+            .replace(/\s+/g, ' ')
+            .trim();
+        const extraWords = words(extra).length;
+        const overlap = this.measureOverlap(text, parsedCitations, context, allowedWords);
+        const leaks = overlap.verbatimNgrams.length > this.options.maxVerbatimNgrams ||
+            overlap.sharedContentWords.length > this.options.maxSharedContentWords;
+
+        let kind = 'conversational';
+        if (parsedCitations.length) kind = 'citation';
+        else if (noResults) kind = 'no_results';
+
+        if (kind === 'citation') {
+            if (!followUps.length) {
+                violations.push({ type: 'missing_follow_up', message: 'Citation reply does not end with the follow-up question' });
+            }
+            if (extraWords > this.options.maxExtraWords || (extraWords && !GREETING_PATTERN.test(extra))) {
+                violations.push({ type: 'extra_content', message: 'Reply contains text outside the citation format', text: extra });
+            }
+        } else if (kind === 'no_results') {
+            if (extraWords > this.options.maxConversationalWords) {
+                violations.push({ type: 'extra_content', message: 'No-results reply is too long', text: extra });
+            }
+        } else if (words(text).length > this.options.maxConversationalWords || leaks) {
+            // Short uncited replies are small talk ("how are you?"), unless they
+            // reuse the retrieved transcript, i.e. describe the interviews
+            violations.push({ type: 'unexpected_format', message: 'Reply neither cites an interview nor says nothing was found' });
+        }
+
+        topics.forEach(topic => {
+            if (words(topic).length > this.options.maxTopicWords) {
+                violations.push({ type: 'detailed_topic', message: 'Topic label is longer than a broad label', text: topic });
+            }
+        });
+        followUps.forEach(topic => {
+            if (words(topic).length > this.options.maxFollowUpWords) {
+                violations.push({ type: 'detailed_topic', message: 'Follow-up topic is too specific', text: topic });
+            }
+        });
+
+        if (invalidCitations.length) {
+            violations.push({
+                type: 'unverified_citation',
+                message: 'Reply cites an interview or page that is not in the retrieved context',
+                citations: invalidCitations.map(({ interviewId, name, pages, reason }) => ({ interviewId, name, pages, reason }))
+            });
+        }
+
+        if (overlap.verbatimNgrams.length > this.options.maxVerbatimNgrams) {
+            violations.push({
+                type: 'verbatim_overlap',
+                message: 'Reply repeats transcript text word for word',
+                matches: overlap.verbatimNgrams.slice(0, 5)
+            });
+        }
+        if (overlap.sharedContentWords.length > this.options.maxSharedContentWords) {
+            violations.push({
+                type: 'paraphrase_overlap',
+                message: 'Reply reuses too many words from the retrieved transcript text',
+                matches: overlap.sharedContentWords
+            });
+        }
+
+        return {
+            valid: violations.length === 0,
+            kind,
+            violations,
+            citations,
+            invalidCitations,
+            metrics: {
+                verbatimNgrams: overlap.verbatimNgrams.length,
+                sharedContentWords: overlap.sharedContentWords.length
+            }
+        };
+    }
+
+    // Compares the reply, minus the citation boilerplate, to the chunk text that
+    // was sent to the model. Names and other allowed words (tags) don't count.
+    measureOverlap(text, citations, context, allowedWords) {
+        const sourceTokens = words(context.map(item => item.interview?.text || '').join(' '));
+        const sourceVocabulary = new Set(sourceTokens);
+        const sourceNgrams = ngrams(sourceTokens, this.options.ngramSize);
+
+        const allowed = new Set([
+            ...words(allowedWords.join(' ')),
+            ...words(context.map(item => item.interview?.name || '').join(' ')),
+            ...words(citations.map(citation => citation.name).join(' '))
+        ]);
+
+        const freeText = citations.reduce((remaining, citation) => remaining.replace(citation.text, ' '), text);
+        const tokens = words(freeText);
+
+        const verbatimNgrams = [...ngrams(tokens, this.options.ngramSize)].filter(gram => sourceNgrams.has(gram));
+        const sharedContentWords = [...new Set(tokens)].filter(word =>
+            word.length >= 4 &&
+            !STOPWORDS.has(word) &&
+            !allowed.has(word) &&
+            sourceVocabulary.has(word)
+        );
+
+        return { verbatimNgrams, sharedContentWords };
+    }
+
+    // Safe reply built only from the retrieved interview ids, names and pages
+    fallbackResponse(context = [], { relatedTopic = 'a related topic' } = {}) {
+        const interviews = context.map(item => item.interview).filter(Boolean);
+        if (!interviews.length) {
+            return `I couldn't find any interviews directly addressing this topic.\n\nWould you like to know where to find information about ${relatedTopic}?`;
+        }
+
+        const citations = interviews.map(interview => {
+            const pages = interview.pages || [];
+            const pageWord = pages.length === 1 && !String(pages[0]).includes('-') ? 'page' : 'pages';
+            return `You can find relevant information in the transcript of Interview #${interview.id} with ${interview.name} on ${pageWord} ${pages.join(', ')}.`;
+        });
+
+        return `${citations.join(' ')}\n\nWould you like to know where to find information about ${relatedTopic}?`;
+    }
+
+    correctionMessage(violations) {
+        return correctionMessage(violations);
+    }
+}
+
+// Extra instruction added when a reply has to be generated again
+function correctionMessage(violations) {
+    const problems = violations.map(violation => `- ${violation.message}`).join('\n');
+    return `Your previous reply broke the response rules:\n${problems}\n\nAnswer again using ONLY the required format. Do not describe, quote or paraphrase anything from the interviews.`;
+}
+
+module.exports = { ResponseGuardrail, parseCitations, parsePageList, correctionMessage };
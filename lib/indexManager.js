@@ -0,0 +1,74 @@
+// Holds the search engine the server answers from. A reload builds and
+// initializes a complete new engine before swapping it in, so requests keep
+// using the old index until the new one is ready, and a failed load leaves
+// the old one in place.
+class IndexManager {
+    constructor({ createEngine = null, engine = null } = {}) {
+        this.createEngine = createEngine;
+        this.engine = engine;
+        this.loadedAt = engine ? new Date() : null;
+        this.loading = null;
+        this.lastError = null;
+    }
+
+    get ready() {
+        return Boolean(this.engine);
+    }
+
+    get canReload() {
+        return Boolean(this.createEngine);
+    }
+
+    // Concurrent calls share one load
+    load() {
+        if (!this.createEngine) {
+            return Promise.reject(new Error('No engine factory configured'));
+        }
+        if (!this.loading) {
+            this.loading = this.loadEngine().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
+
+    async loadEngine() {
+        const startedAt = Date.now();
+        try {
+            const engine = this.createEngine();
+            await engine.initialize();
+
+            const previous = this.version;
+            this.engine = engine;
+            this.loadedAt = new Date();
+            this.lastError = null;
+            console.log('Search index loaded:', { version: this.version, previous, ms: Date.now() - startedAt });
+            return this.status();
+        } catch (error) {
+            this.lastError = { message: error.message, at: new Date().toISOString() };
+            console.error('Failed to load search index:', error);
+            throw error;
+        }
+    }
+
+    get version() {
+        return this.engine?.vectorIndex?.manifest?.version || null;
+    }
+
+    status() {
+        const engine = this.engine;
+        return {
+            ready: this.ready,
+            loading: Boolean(this.loading),
+            version: this.version,
+            model: engine?.vectorIndex?.manifest?.model || null,
+            chunks: engine?.vectorIndex?.size ?? 0,
+            dimension: engine?.vectorIndex?.dimension ?? null,
+            metadataCount: engine?.metadata?.size ?? 0,
+            loadedAt: this.loadedAt ? this.loadedAt.toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = { IndexManager };
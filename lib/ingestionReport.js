@@ -0,0 +1,128 @@
+const { normalizePdfName } = require('./metadata');
+
+// Reconciles what ingestion found on disk with metadata.csv. Anything listed
+// in errors must stop the index from being written; allowMissingPdfs and
+// allowEmptyPages turn those two checks into warnings.
+function buildIngestionReport({ files, unreadable = [], pages, chunks, metadata, allowMissingPdfs = false, allowEmptyPages = false }) {
+    const errors = [];
+    const warnings = [];
+    const fileIds = new Map(files.map(file => [file, metadata.byPdfName.get(normalizePdfName(file)) || null]));
+
+    const pdfsWithoutMetadata = files.filter(file => !fileIds.get(file));
+    if (pdfsWithoutMetadata.length) {
+        errors.push(`${pdfsWithoutMetadata.length} PDF(s) have no metadata.csv row: ${pdfsWithoutMetadata.join(', ')}`);
+    }
+
+    const presentPdfs = new Set(files.map(normalizePdfName));
+    const metadataWithoutPdf = [...metadata.records.values()]
+        .filter(record => !presentPdfs.has(normalizePdfName(record.pdf_name)))
+        .map(record => ({ id: record.id, name: record.name || null, pdfName: record.pdf_name || null }));
+    if (metadataWithoutPdf.length) {
+        (allowMissingPdfs ? warnings : errors).push(
+            `${metadataWithoutPdf.length} metadata row(s) have no PDF: ${metadataWithoutPdf.map(row => `${row.id} (${row.pdfName || 'no pdf_name'})`).join(', ')}`
+        );
+    }
+
+    metadata.problems.forEach(problem => {
+        errors.push(`metadata.csv line ${problem.row}: ${problem.type}${problem.id ? ` (id ${problem.id})` : ''}`);
+    });
+
+    if (unreadable.length) {
+        errors.push(`${unreadable.length} PDF(s) could not be read: ${unreadable.map(item => item.file).join(', ')}`);
+    }
+
+    const emptyByFile = new Map();
+    pages.filter(page => !page.text.trim()).forEach(page => {
+        if (!emptyByFile.has(page.title)) emptyByFile.set(page.title, []);
+        emptyByFile.get(page.title).push(page.page);
+    });
+    const emptyPages = [...emptyByFile.entries()].map(([file, numbers]) => ({ file, interviewId: fileIds.get(file) || null, pages: numbers }));
+    if (emptyPages.length) {
+        (allowEmptyPages ? warnings : errors).push(
+            `Pages with no extractable text: ${emptyPages.map(item => `${item.file} p. ${item.pages.join(', ')}`).join('; ')}`
+        );
+    }
+
+    const pageCounts = new Map();
+    pages.forEach(page => pageCounts.set(page.title, (pageCounts.get(page.title) || 0) + 1));
+    const chunkCounts = new Map();
+    chunks.forEach(chunk => chunkCounts.set(chunk.source, (chunkCounts.get(chunk.source) || 0) + 1));
+
+    const unreadableFiles = new Set(unreadable.map(item => item.file));
+    const chunksPerInterview = files
+        .filter(file => !unreadableFiles.has(file))
+        .map(file => {
+            const interviewId = fileIds.get(file);
+            return {
+                interviewId,
+                narrator: interviewId ? metadata.records.get(interviewId).name || null : null,
+                pdfName: file,
+                pages: pageCounts.get(file) || 0,
+                chunks: chunkCounts.get(file) || 0
+            };
+        })
+        .sort((a, b) => Number(a.interviewId) - Number(b.interviewId) || a.pdfName.localeCompare(b.pdfName));
+
+    const withoutChunks = chunksPerInterview.filter(item => !item.chunks);
+    if (withoutChunks.length) {
+        errors.push(`${withoutChunks.length} PDF(s) produced no chunks: ${withoutChunks.map(item => item.pdfName).join(', ')}`);
+    }
+
+    return {
+        ok: errors.length === 0,
+        errors,
+        warnings,
+        pdfs: files.length,
+        metadataRows: metadata.records.size,
+        chunks: chunks.length,
+        pdfsWithoutMetadata,
+        metadataWithoutPdf,
+        unreadablePdfs: unreadable,
+        emptyPages,
+        metadataProblems: metadata.problems,
+        chunksPerInterview
+    };
+}
+
+// Source PDFs of indexed chunks that metadata.csv doesn't describe
+function unlinkedSources(chunks, metadata) {
+    const sources = new Set(chunks.map(chunk => chunk.source));
+    return [...sources].filter(source => !metadata.byPdfName.has(normalizePdfName(source)));
+}
+
+// Checks an existing index against metadata.csv: chunks that can't be linked to
+// an interview, interviews with nothing indexed, and chunks whose interviewId
+// was stored against a different metadata row than the CSV gives now
+function reconcileIndex(chunks, metadata) {
+    const errors = [];
+    const unlinked = unlinkedSources(chunks, metadata);
+    if (unlinked.length) {
+        errors.push(`Index has chunks from ${unlinked.length} PDF(s) without metadata: ${unlinked.join(', ')}`);
+    }
+
+    const counts = new Map();
+    const mismatched = new Set();
+    chunks.forEach(chunk => {
+        const interviewId = metadata.byPdfName.get(normalizePdfName(chunk.source));
+        if (!interviewId) return;
+        counts.set(interviewId, (counts.get(interviewId) || 0) + 1);
+        if (chunk.interviewId != null && String(chunk.interviewId) !== interviewId) mismatched.add(chunk.source);
+    });
+    if (mismatched.size) {
+        errors.push(`Index links ${mismatched.size} PDF(s) to different interview ids than metadata.csv: ${[...mismatched].join(', ')}. Re-run ingestion.`);
+    }
+
+    const notIndexed = [...metadata.records.keys()].filter(id => !counts.has(id));
+
+    return {
+        ok: errors.length === 0,
+        errors,
+        chunks: chunks.length,
+        unlinkedSources: unlinked,
+        mismatchedSources: [...mismatched],
+        notIndexed,
+        chunksPerInterview: Object.fromEntries(counts)
+    };
+}
+
+module.exports = { buildIngestionReport, reconcileIndex, unlinkedSources };
@@ -0,0 +1,92 @@
+// Small BM25 index over the chunk texts. Unigrams and adjacent-word bigrams are
+// both indexed so multi-word names ("Cosmo Demo") score higher as a phrase.
+
+const STOPWORDS = new Set([
+    'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from',
+    'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'in', 'is', 'it', 'its', 'me', 'of',
+    'on', 'or', 'she', 'that', 'the', 'their', 'them', 'they', 'this', 'to', 'was', 'were',
+    'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOPWORDS.has(token));
+}
+
+function termsFor(text) {
+    const tokens = tokenize(text);
+    const terms = [...tokens];
+    for (let i = 0; i < tokens.length - 1; i++) {
+        terms.push(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+    return terms;
+}
+
+class KeywordIndex {
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.postings = new Map();
+        this.docLengths = [];
+        this.averageLength = 0;
+    }
+
+    build(texts) {
+        this.postings = new Map();
+        this.docLengths = new Array(texts.length);
+        let totalLength = 0;
+
+        texts.forEach((text, docIndex) => {
+            const counts = new Map();
+            const terms = termsFor(text);
+            terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+            counts.forEach((count, term) => {
+                if (!this.postings.has(term)) this.postings.set(term, []);
+                this.postings.get(term).push([docIndex, count]);
+            });
+
+            this.docLengths[docIndex] = terms.length;
+            totalLength += terms.length;
+        });
+
+        this.averageLength = texts.length ? totalLength / texts.length : 0;
+        return this;
+    }
+
+    get size() {
+        return this.docLengths.length;
+    }
+
+    search(query, { limit = 50, filter = null } = {}) {
+        const queryTerms = [...new Set(termsFor(query))];
+        if (!queryTerms.length || !this.size) return [];
+
+        const scores = new Map();
+        const docCount = this.size;
+
+        queryTerms.forEach(term => {
+            const postings = this.postings.get(term);
+            if (!postings) return;
+
+            const idf = Math.log(1 + (docCount - postings.length + 0.5) / (postings.length + 0.5));
+            postings.forEach(([docIndex, count]) => {
+                if (filter && !filter(docIndex)) return;
+                const lengthNorm = 1 - this.b + this.b * (this.docLengths[docIndex] / (this.averageLength || 1));
+                const score = idf * (count * (this.k1 + 1)) / (count + this.k1 * lengthNorm);
+                scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+            });
+        });
+
+        return [...scores.entries()]
+            .map(([index, score]) => ({ index, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+module.exports = { KeywordIndex, tokenize };
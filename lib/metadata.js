@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parse/sync');
+
+const REQUIRED_COLUMNS = ['id', 'name', 'pdf_name'];
+
+// PDFs are matched on file name only, ignoring case and any directory
+function normalizePdfName(name) {
+    return path.basename(String(name || '').trim()).toLowerCase();
+}
+
+// Reads metadata.csv keyed by its id column, with a pdf_name -> id lookup.
+// Rows that can't be keyed are left out and listed in problems.
+function loadMetadata(filePath) {
+    const rows = csv.parse(fs.readFileSync(filePath, 'utf8'), {
+        columns: true,
+        skip_empty_lines: true
+    });
+
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+    const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (rows.length && missingColumns.length) {
+        throw new Error(`${filePath} is missing columns: ${missingColumns.join(', ')}`);
+    }
+
+    const records = new Map();
+    const byPdfName = new Map();
+    const problems = [];
+
+    rows.forEach((record, index) => {
+        const row = index + 2; // header is line 1
+        const id = String(record.id || '').trim();
+        const pdfName = normalizePdfName(record.pdf_name);
+
+        if (!id) {
+            problems.push({ type: 'missing_id', row, name: record.name || null });
+            return;
+        }
+        if (records.has(id)) {
+            problems.push({ type: 'duplicate_id', row, id });
+            return;
+        }
+        records.set(id, { ...record, id });
+
+        if (!pdfName) {
+            problems.push({ type: 'missing_pdf_name', row, id });
+        } else if (byPdfName.has(pdfName)) {
+            problems.push({ type: 'duplicate_pdf_name', row, id, pdfName, otherId: byPdfName.get(pdfName) });
+        } else {
+            byPdfName.set(pdfName, id);
+        }
+    });
+
+    return { records, byPdfName, problems };
+}
+
+module.exports = { loadMetadata, normalizePdfName, REQUIRED_COLUMNS };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary key so only one instance runs migrations at a time
+const MIGRATION_LOCK_KEY = 72340217;
+
+// Numbered .sql files in the migrations directory, in order
+function listMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => /^\d+_.+\.sql$/.test(file))
+        .map(file => ({
+            version: parseInt(file, 10),
+            name: file,
+            sql: fs.readFileSync(path.join(dir, file), 'utf8')
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+// Applies every migration that hasn't run yet, each in its own transaction.
+// Returns the names of the migrations that were applied.
+async function migrate(pool, { dir = MIGRATIONS_DIR } = {}) {
+    const migrations = listMigrations(dir);
+    const client = await pool.connect();
+    const applied = [];
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        const result = await client.query('SELECT version FROM schema_migrations');
+        const done = new Set(result.rows.map(row => row.version));
+
+        for (const migration of migrations) {
+            if (done.has(migration.version)) continue;
+
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.sql);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+            }
+
+            console.log(`Applied migration ${migration.name}`);
+            applied.push(migration.name);
+        }
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+
+    return applied;
+}
+
+module.exports = { migrate, listMigrations, MIGRATIONS_DIR };
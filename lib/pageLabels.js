@@ -0,0 +1,75 @@
+// Works out the page numbers printed on transcript pages, which often differ
+// from PDF page indices because of cover and title pages.
+
+const STANDALONE_NUMBER = /^(?:page\s+)?[-–—]?\s*(\d{1,4})\s*[-–—]?$/i;
+const EDGE_LINES = 2;
+
+function isTrivialLabels(labels) {
+    return labels.every((label, index) => label === String(index + 1));
+}
+
+// Finds a standalone page number in the first or last lines of a page
+function findPrintedNumber(text) {
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const edges = [
+        ...lines.slice(0, EDGE_LINES).map((line, index) => ({ line, index })),
+        ...lines.slice(-EDGE_LINES).map((line, index) => ({ line, index: Math.max(lines.length - EDGE_LINES, 0) + index }))
+    ];
+
+    for (const { line, index } of edges) {
+        const match = line.match(STANDALONE_NUMBER);
+        if (match) return { number: Number(match[1]), lineIndex: index };
+    }
+    return null;
+}
+
+function removeLine(text, lineIndex) {
+    const lines = (text || '').split('\n');
+    let seen = -1;
+    return lines
+        .filter(line => {
+            if (!line.trim()) return true;
+            seen++;
+            return seen !== lineIndex;
+        })
+        .join('\n')
+        .trim();
+}
+
+// pages: [{ text, page }] for one document, page being the 1-based PDF index.
+// pdfLabels: the result of pdfjs getPageLabels(), or null.
+// Returns the pages with a pageLabel (string, or null when the page has no
+// printed number) and the detected page number line removed from the text.
+function applyPageLabels(pages, pdfLabels = null) {
+    if (Array.isArray(pdfLabels) && pdfLabels.length && !isTrivialLabels(pdfLabels)) {
+        return pages.map(page => ({ ...page, pageLabel: pdfLabels[page.page - 1] || null }));
+    }
+
+    const found = pages.map(page => findPrintedNumber(page.text));
+
+    // The printed number is usually the PDF index plus a fixed offset; take the
+    // most common one so stray numbers in the text don't count
+    const offsets = new Map();
+    found.forEach((match, index) => {
+        if (!match) return;
+        const offset = match.number - pages[index].page;
+        offsets.set(offset, (offsets.get(offset) || 0) + 1);
+    });
+
+    const [offset, count] = [...offsets.entries()].sort((a, b) => b[1] - a[1])[0] || [0, 0];
+    if (count < Math.max(2, Math.ceil(pages.length * 0.3))) {
+        return pages.map(page => ({ ...page, pageLabel: null }));
+    }
+
+    return pages.map((page, index) => {
+        const printed = page.page + offset;
+        const match = found[index];
+        return {
+            ...page,
+            text: match && match.number === printed ? removeLine(page.text, match.lineIndex) : page.text,
+            pageLabel: printed >= 1 ? String(printed) : null
+        };
+    });
+}
+
+module.exports = { applyPageLabels, findPrintedNumber };
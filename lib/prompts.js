@@ -0,0 +1,19 @@
+const fs = require('fs');
+
+// System prompts live in text templates (config/prompts) so each bot profile
+// can have its own. {{context}} is replaced with the retrieved interviews and
+// {{topics}} with the archive tags the bot may suggest as related topics.
+function loadPromptTemplate(filePath) {
+    return fs.readFileSync(filePath, 'utf8').trim();
+}
+
+function renderPrompt(template, { context = [], topics = [] } = {}) {
+    // Only the interview part of each context item goes to the model
+    const values = {
+        context: JSON.stringify(context.map(({ interview }) => ({ interview }))),
+        topics: topics.join('; ')
+    };
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+module.exports = { loadPromptTemplate, renderPrompt };
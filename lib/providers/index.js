@@ -0,0 +1,30 @@
+const { OpenAIProvider } = require('./openaiProvider');
+const { MockProvider } = require('./mockProvider');
+
+// Picks the chat/embedding provider from the environment:
+//   LLM_PROVIDER      openai (default) or mock
+//   CHAT_MODEL        chat completion model
+//   EMBEDDING_MODEL   embedding model
+//   MOCK_REPLIES_FILE optional JSON list of { pattern, reply } for the mock
+function createProvider(env = process.env) {
+    const name = (env.LLM_PROVIDER || 'openai').toLowerCase();
+
+    if (name === 'mock') {
+        const options = { dimension: Number(env.MOCK_EMBEDDING_DIMENSION) || 256 };
+        return env.MOCK_REPLIES_FILE
+            ? MockProvider.fromFile(env.MOCK_REPLIES_FILE, options)
+            : new MockProvider(options);
+    }
+
+    if (name === 'openai') {
+        return new OpenAIProvider({
+            apiKey: env.OPENAI_API_KEY,
+            chatModel: env.CHAT_MODEL || "gpt-4-turbo-preview",
+            embeddingModel: env.EMBEDDING_MODEL || "text-embedding-3-small"
+        });
+    }
+
+    throw new Error(`Unknown LLM_PROVIDER: ${env.LLM_PROVIDER}`);
+}
+
+module.exports = { createProvider, OpenAIProvider, MockProvider };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Mock usage counts words as tokens
+const countWords = text => String(text || '').split(/\s+/).filter(Boolean).length;
+
+// Offline stand-in for OpenAI. Embeddings are hashed bags of words, so texts
+// that share words are still similar; replies come from a script or are built
+// from the context in the system prompt in the guiding format.
+class MockProvider {
+    constructor({ dimension = 256, replies = [], rules = [], delayMs = 0 } = {}) {
+        this.name = 'mock';
+        this.chatModel = 'mock-chat';
+        this.embeddingModel = `mock-embedding-${dimension}`;
+        this.dimension = dimension;
+        this.replies = [...replies];
+        this.rules = rules.map(rule => ({ pattern: new RegExp(rule.pattern, 'i'), reply: rule.reply }));
+        this.delayMs = delayMs;
+        this.calls = [];
+    }
+
+    static fromFile(filePath, options = {}) {
+        const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return new MockProvider({ ...options, rules });
+    }
+
+    enqueueReply(reply) {
+        this.replies.push(reply);
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimension).fill(0);
+        const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+        words.forEach(word => {
+            const hash = crypto.createHash('md5').update(word).digest();
+            const slot = hash.readUInt32LE(0) % this.dimension;
+            vector[slot] += hash[4] & 1 ? 1 : -1;
+        });
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return vector.map(value => value / norm);
+    }
+
+    async embed(input, { onUsage } = {}) {
+        const inputs = Array.isArray(input) ? input : [input];
+        this.calls.push({ type: 'embed', inputs });
+        if (onUsage) {
+            const tokens = inputs.reduce((sum, text) => sum + countWords(text), 0);
+            onUsage({ prompt_tokens: tokens, total_tokens: tokens });
+        }
+        return inputs.map(text => this.embedText(text));
+    }
+
+    replyFor(messages) {
+        const lastUser = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+
+        if (this.replies.length) return this.replies.shift();
+
+        const rule = this.rules.find(({ pattern }) => pattern.test(lastUser));
+        if (rule) return rule.reply;
+
+        // Query rewriting requests: hand back the latest message unchanged
+        const latest = lastUser.match(/Latest message: ([\s\S]*)$/);
+        if (latest) return latest[1].trim();
+
+        const system = messages.find(message => message.role === 'system')?.content || '';
+        const contextStart = system.lastIndexOf('Context: ');
+        let context = [];
+        if (contextStart !== -1) {
+            try {
+                context = JSON.parse(system.slice(contextStart + 'Context: '.length));
+            } catch (error) {
+                context = [];
+            }
+        }
+
+        const interview = context[0]?.interview;
+        if (!interview) {
+            return "I couldn't find any interviews directly addressing this topic.\n\nWould you like to know where to find information about a related topic?";
+        }
+
+        const pages = interview.pages || [];
+        const pageWord = pages.length === 1 && !String(pages[0]).includes('-') ? 'page' : 'pages';
+        return `You can find relevant information in the transcript of Interview #${interview.id} with ${interview.name} on ${pageWord} ${pages.join(', ')}. This section discusses activism.\n\nWould you like to know where to find information about community organizing?`;
+    }
+
+    usageFor(messages, content) {
+        const promptTokens = messages.reduce((sum, message) => sum + countWords(message.content), 0);
+        const completionTokens = countWords(content);
+        return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+    }
+
+    async complete({ messages, model = this.chatModel }) {
+        this.calls.push({ type: 'complete', messages });
+        const content = this.replyFor(messages);
+        return { content, model, usage: this.usageFor(messages, content) };
+    }
+
+    async *stream({ messages, signal }) {
+        this.calls.push({ type: 'stream', messages });
+        const content = this.replyFor(messages);
+
+        for (const token of content.split(/(?<=\s)/)) {
+            if (signal?.aborted) {
+                const error = new Error('Request was aborted.');
+                error.name = 'AbortError';
+                throw error;
+            }
+            if (this.delayMs) await new Promise(resolve => setTimeout(resolve, this.delayMs));
+            yield { token };
+        }
+        yield { usage: this.usageFor(messages, content) };
+    }
+}
+
+module.exports = { MockProvider };
@@ -0,0 +1,61 @@
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+    constructor({ apiKey = process.env.OPENAI_API_KEY, chatModel = "gpt-4-turbo-preview", embeddingModel = "text-embedding-3-small" } = {}) {
+        this.name = 'openai';
+        this.client = new OpenAI({ apiKey });
+        this.chatModel = chatModel;
+        this.embeddingModel = embeddingModel;
+    }
+
+    async complete({ messages, model = this.chatModel, temperature, maxTokens }) {
+        const completion = await this.client.chat.completions.create({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+        });
+
+        return {
+            content: completion.choices[0].message.content,
+            model: completion.model || model,
+            usage: completion.usage || null
+        };
+    }
+
+    // Yields { token } for each piece of the reply, then { usage } at the end
+    async *stream({ messages, model = this.chatModel, temperature, maxTokens, signal }) {
+        const stream = await this.client.chat.completions.create({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            stream: true,
+            stream_options: { include_usage: true }
+        }, { signal });
+
+        for await (const part of stream) {
+            const token = part.choices[0]?.delta?.content;
+            if (token) yield { token };
+            if (part.usage) yield { usage: part.usage };
+        }
+    }
+
+    // onUsage receives the token usage of the request, for callers that count it
+    async embed(input, { onUsage } = {}) {
+        const inputs = Array.isArray(input) ? input : [input];
+        const response = await this.client.embeddings.create({
+            model: this.embeddingModel,
+            input: inputs
+        });
+        if (onUsage && response.usage) onUsage(response.usage);
+
+        const embeddings = new Array(inputs.length);
+        response.data.forEach(item => {
+            embeddings[item.index] = item.embedding;
+        });
+        return embeddings;
+    }
+}
+
+module.exports = { OpenAIProvider };
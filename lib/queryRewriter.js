@@ -0,0 +1,57 @@
+// Turns follow-up messages ("yes", "what about his motivation?") into
+// standalone search queries using the conversation so far.
+
+const FOLLOW_UP_QUESTION = /would you like to know where to find (?:more )?information (?:about|on) ([^?\n]*)\?/i;
+const AFFIRMATIVE = /^(?:yes|yeah|yep|yup|sure|ok|okay|please|yes please|sure thing|definitely|absolutely|of course|go ahead)[\s.!]*$/i;
+
+const REWRITE_PROMPT = `You rewrite messages from a participant chatting with a guide to an oral history archive of ACT UP New York interviews.
+
+Rewrite the participant's latest message as a standalone search query that can be understood without the conversation. Replace pronouns ("he", "her", "they", "that") with the people, groups or events they refer to. If the message answers a question the assistant asked, turn it into a query for what was offered.
+
+Reply with the query only, no quotes or explanation. If the message is already standalone, repeat it unchanged.`;
+
+class QueryRewriter {
+    constructor(provider, { model = provider.chatModel, maxHistory = 6 } = {}) {
+        this.provider = provider;
+        this.model = model;
+        this.maxHistory = maxHistory;
+    }
+
+    async rewrite(question, history = []) {
+        if (!history.length) {
+            return { query: question, method: 'none' };
+        }
+
+        // "yes" to "Would you like to know where to find information about X?" means X
+        const lastAssistant = [...history].reverse().find(message => message.role === 'assistant');
+        const offered = lastAssistant?.content.match(FOLLOW_UP_QUESTION)?.[1]?.trim();
+        if (offered && AFFIRMATIVE.test(question.trim())) {
+            return { query: offered, method: 'follow_up' };
+        }
+
+        try {
+            const transcript = history
+                .slice(-this.maxHistory)
+                .map(message => `${message.role === 'user' ? 'Participant' : 'Assistant'}: ${message.content}`)
+                .join('\n');
+
+            const completion = await this.provider.complete({
+                model: this.model,
+                messages: [
+                    { role: "system", content: REWRITE_PROMPT },
+                    { role: "user", content: `Conversation:\n${transcript}\n\nLatest message: ${question}` }
+                ],
+                temperature: 0,
+                maxTokens: 60
+            });
+
+            const query = completion.content.trim().replace(/^["']|["']$/g, '');
+            return { query: query || question, method: 'llm', usage: completion.usage };
+        } catch (error) {
+            console.error('Query rewrite failed, using the original question:', error);
+            return { query: question, method: 'error' };
+        }
+    }
+}
+
+module.exports = { QueryRewriter };
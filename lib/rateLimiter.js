@@ -0,0 +1,61 @@
+// Sliding-window request limits kept in memory. Each key (participant,
+// session or IP) keeps the timestamps of its recent requests, at most `limit`
+// of them, so memory stays bounded by the number of active keys. Limits are
+// per server instance.
+class RateLimiter {
+    constructor({ windowMs = 60000, limits = {} } = {}) {
+        this.windowMs = windowMs;
+        // kind -> max requests per window; 0 or missing means no limit
+        this.limits = limits;
+        this.hits = new Map();
+        this.rejected = {};
+        this.checks = 0;
+    }
+
+    // Records a request for every key unless one of them is over its limit.
+    // keys is { kind: value }; returns { allowed, kind, retryAfterMs }.
+    check(keys, now = Date.now()) {
+        if (++this.checks % 1000 === 0) this.prune(now);
+
+        const entries = Object.entries(keys)
+            .filter(([kind, value]) => value && this.limits[kind] > 0)
+            .map(([kind, value]) => ({ kind, key: `${kind}:${value}`, limit: this.limits[kind] }));
+
+        for (const { kind, key, limit } of entries) {
+            const recent = this.recentHits(key, now);
+            if (recent.length >= limit) {
+                this.rejected[kind] = (this.rejected[kind] || 0) + 1;
+                return { allowed: false, kind, retryAfterMs: recent[0] + this.windowMs - now };
+            }
+        }
+
+        entries.forEach(({ key, limit }) => {
+            const recent = this.recentHits(key, now);
+            recent.push(now);
+            this.hits.set(key, recent.slice(-limit));
+        });
+        return { allowed: true };
+    }
+
+    recentHits(key, now) {
+        return (this.hits.get(key) || []).filter(time => time > now - this.windowMs);
+    }
+
+    prune(now = Date.now()) {
+        this.hits.forEach((times, key) => {
+            if (!times.length || times[times.length - 1] <= now - this.windowMs) this.hits.delete(key);
+        });
+    }
+
+    stats(now = Date.now()) {
+        this.prune(now);
+        const activeKeys = {};
+        this.hits.forEach((times, key) => {
+            const kind = key.slice(0, key.indexOf(':'));
+            activeKeys[kind] = (activeKeys[kind] || 0) + 1;
+        });
+        return { windowMs: this.windowMs, limits: this.limits, activeKeys, rejected: { ...this.rejected } };
+    }
+}
+
+module.exports = { RateLimiter };
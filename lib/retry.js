@@ -0,0 +1,28 @@
+// Retries an async call with exponential backoff and jitter. Errors with a
+// 4xx status other than 408/409/429 are treated as permanent and rethrown.
+function isRetryable(error) {
+    const status = error?.status ?? error?.response?.status;
+    if (!status) return true;
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function withRetry(fn, { retries = 5, baseDelay = 1000, maxDelay = 30000, onRetry = null } = {}) {
+    let attempt = 0;
+    for (;;) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+            const delay = Math.min(maxDelay, baseDelay * 2 ** attempt) * (0.5 + Math.random() / 2);
+            if (onRetry) onRetry(error, attempt + 1, delay);
+            await sleep(delay);
+            attempt++;
+        }
+    }
+}
+
+module.exports = { withRetry, isRetryable, sleep };
@@ -0,0 +1,576 @@
+const fs = require('fs');
+const path = require('path');
+const { KeywordIndex } = require('./keywordIndex');
+const { VectorIndex } = require('./vectorIndex');
+const { loadMetadata, normalizePdfName } = require('./metadata');
+const { unlinkedSources } = require('./ingestionReport');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Common words that should not on their own identify a tag
+const TAG_STOPWORDS = new Set(['the', 'and', 'aids', 'act', 'action', 'actions', 'committee', 'issues', 'first', 'national']);
+
+function normalizeText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wordPattern(phrase) {
+    return new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}(?=$|[^a-z0-9])`);
+}
+
+function parseTags(value) {
+    return (value || '').split(';').map(tag => tag.trim()).filter(Boolean);
+}
+
+function toList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+// Dates are compared as YYYY-MM-DD strings so "2003-04-20" and "April 20, 2003" agree
+function parseInterviewDate(value) {
+    if (!value) return null;
+    const isoMatch = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    if (isoMatch) return isoMatch[1];
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return null;
+    const date = new Date(time);
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+const DEFAULT_SEARCH_OPTIONS = {
+    vectorWeight: 0.7,
+    keywordWeight: 0.3,
+    candidateCount: 50,
+    maxChunks: 5,
+    maxDocuments: 2,
+    maxChunksPerDocument: 3,
+    tagBoost: 0.05
+};
+
+function searchOptionsFromEnv(env = process.env) {
+    const options = {};
+    const settings = {
+        vectorWeight: 'SEARCH_VECTOR_WEIGHT',
+        keywordWeight: 'SEARCH_KEYWORD_WEIGHT',
+        candidateCount: 'SEARCH_CANDIDATE_COUNT',
+        maxChunks: 'SEARCH_MAX_CHUNKS',
+        maxDocuments: 'SEARCH_MAX_DOCUMENTS',
+        maxChunksPerDocument: 'SEARCH_MAX_CHUNKS_PER_DOCUMENT',
+        tagBoost: 'SEARCH_TAG_BOOST'
+    };
+
+    Object.entries(settings).forEach(([key, name]) => {
+        if (env[name] === undefined || env[name] === '') return;
+        const value = Number(env[name]);
+        if (Number.isNaN(value)) {
+            console.warn(`Ignoring non-numeric ${name}: ${env[name]}`);
+            return;
+        }
+        options[key] = value;
+    });
+
+    return options;
+}
+
+class AISearchEngine {
+    constructor(provider, options = {}) {
+        const { indexDir, metadataPath, ...searchOptions } = options;
+        this.provider = provider;
+        this.indexDir = indexDir || path.join(ROOT_DIR, 'index');
+        this.metadataPath = metadataPath || process.env.METADATA_PATH || path.join(ROOT_DIR, 'metadata.csv');
+        this.vectorIndex = null;
+        this.texts = [];
+        this.metadata = new Map();
+        this.pdfIndex = new Map();
+        this.chunkMetadata = [];
+        this.narratorMatchers = [];
+        this.tagMatchers = [];
+        this.keywordIndex = new KeywordIndex();
+        this.searchOptions = { ...DEFAULT_SEARCH_OPTIONS, ...searchOptions };
+    }
+
+    async initialize() {
+        try {
+            this.vectorIndex = this.loadVectorIndex();
+            this.texts = this.vectorIndex.chunks.map(chunk => chunk.text || '');
+            this.chunkMetadata = this.vectorIndex.chunks.map(({ text, ...metadata }) => metadata);
+            this.keywordIndex.build(this.texts);
+
+            // Interviews are keyed by the id column and joined to chunks by pdf_name
+            const metadata = loadMetadata(this.metadataPath);
+            this.metadata = metadata.records;
+            this.pdfIndex = metadata.byPdfName;
+            metadata.problems.forEach(problem => console.warn('Metadata problem:', problem));
+
+            const unlinked = unlinkedSources(this.chunkMetadata, metadata);
+            if (unlinked.length) {
+                console.warn(`Chunks from ${unlinked.length} PDF(s) have no metadata: ${unlinked.join(', ')}`);
+            }
+
+            this.buildMetadataMatchers();
+            
+            console.log(`Loaded ${this.vectorIndex.size} embeddings (${this.vectorIndex.dimension} dimensions) and ${this.metadata.size} metadata records`);
+        } catch (error) {
+            console.error('Failed to load data:', error);
+            throw error;
+        }
+    }
+
+    loadVectorIndex() {
+        if (VectorIndex.exists(this.indexDir)) {
+            const index = VectorIndex.load(this.indexDir);
+            console.log(`Loaded vector index ${index.manifest.version} from ${this.indexDir}`);
+            if (index.manifest.model && this.provider?.embeddingModel && index.manifest.model !== this.provider.embeddingModel) {
+                console.warn(`Index was built with ${index.manifest.model} but queries use ${this.provider.embeddingModel}`);
+            }
+            return index;
+        }
+
+        // Fall back to the embeddings.json written by older versions of generateEmbeddings
+        const legacyPath = path.join(ROOT_DIR, 'embeddings.json');
+        console.warn(`No vector index in ${this.indexDir}, reading ${legacyPath}`);
+        const data = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+
+        if (!data.embeddings || !Array.isArray(data.embeddings)) {
+            throw new Error('Invalid embeddings data structure');
+        }
+
+        const chunks = data.embeddings.map((_, idx) => ({
+            text: data.texts?.[idx] || '',
+            ...(data.metadata?.[idx] || {})
+        }));
+        return VectorIndex.fromEmbeddings(data.embeddings, chunks, { version: 'legacy-embeddings-json' });
+    }
+
+    buildMetadataMatchers() {
+        const narrators = [...this.metadata.entries()].map(([id, record]) => ({
+            id,
+            fullName: normalizeText(record.name || ''),
+            parts: normalizeText(record.name || '').split(/\s+/).filter(Boolean)
+        }));
+
+        // A last name only identifies a narrator when no one else shares it
+        const lastNameCounts = new Map();
+        narrators.forEach(({ parts }) => {
+            const lastName = parts[parts.length - 1];
+            if (lastName) lastNameCounts.set(lastName, (lastNameCounts.get(lastName) || 0) + 1);
+        });
+
+        this.narratorMatchers = narrators
+            .filter(narrator => narrator.fullName)
+            .map(narrator => {
+                const lastName = narrator.parts[narrator.parts.length - 1];
+                const names = [narrator.fullName];
+                if (narrator.parts.length > 1 && lastName.length >= 4 && lastNameCounts.get(lastName) === 1) {
+                    names.push(lastName);
+                }
+                return { id: narrator.id, patterns: names.map(wordPattern) };
+            });
+
+        const tags = new Map();
+        this.metadata.forEach((record, id) => {
+            parseTags(record.tags).forEach(tag => {
+                const key = normalizeText(tag);
+                if (!tags.has(key)) tags.set(key, { tag, documentIds: new Set() });
+                tags.get(key).documentIds.add(id);
+            });
+        });
+
+        // Words that appear in a single tag (e.g. "FDA", "Cosmo") are enough to name it
+        const wordCounts = new Map();
+        tags.forEach((_, key) => {
+            new Set(key.split(/[^a-z0-9]+/)).forEach(word => {
+                wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+            });
+        });
+
+        // Tag vocabulary with interview counts, most used first
+        this.tagCatalog = [...tags.values()]
+            .map(({ tag, documentIds }) => ({ tag, count: documentIds.size, documentIds: [...documentIds] }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+        this.tagMatchers = [...tags.entries()].map(([key, { tag, documentIds }]) => {
+            const keywords = key.split(/[^a-z0-9]+/)
+                .filter(word => word.length >= 3 && !TAG_STOPWORDS.has(word) && wordCounts.get(word) === 1);
+            return {
+                tag,
+                documentIds,
+                patterns: [key, ...keywords].map(wordPattern)
+            };
+        });
+    }
+
+    extractFiltersFromQuestion(question) {
+        const text = normalizeText(question || '');
+
+        const narrators = this.narratorMatchers
+            .filter(matcher => matcher.patterns.some(pattern => pattern.test(text)))
+            .map(matcher => matcher.id);
+
+        const tags = this.tagMatchers
+            .filter(matcher => matcher.patterns.some(pattern => pattern.test(text)))
+            .map(matcher => matcher.tag);
+
+        return { narrators, tags };
+    }
+
+    resolveNarratorIds(narrators) {
+        const ids = new Set();
+        narrators.forEach(narrator => {
+            const value = String(narrator).trim();
+            if (this.metadata.has(value)) {
+                ids.add(value);
+                return;
+            }
+            const name = normalizeText(value);
+            this.metadata.forEach((record, id) => {
+                if (normalizeText(record.name || '') === name) ids.add(id);
+            });
+        });
+        return ids;
+    }
+
+    documentsWithTags(tags) {
+        const wanted = new Set(tags.map(tag => normalizeText(tag)));
+        const ids = new Set();
+        this.tagMatchers.forEach(matcher => {
+            if (wanted.has(normalizeText(matcher.tag))) {
+                matcher.documentIds.forEach(id => ids.add(id));
+            }
+        });
+        return ids;
+    }
+
+    buildRetrievalFilter(question, filters = {}, tagBoost = this.searchOptions.tagBoost) {
+        const inferred = this.extractFiltersFromQuestion(question);
+        const narrators = toList(filters.narrators);
+        const tags = toList(filters.tags);
+        const tagMode = filters.tagMode === 'boost' ? 'boost' : 'restrict';
+        const dateFrom = filters.dateFrom ? parseInterviewDate(filters.dateFrom) : null;
+        const dateTo = filters.dateTo ? parseInterviewDate(filters.dateTo) : null;
+
+        let documentIds = null;
+        const restrictTo = ids => {
+            documentIds = documentIds
+                ? new Set([...documentIds].filter(id => ids.has(id)))
+                : ids;
+        };
+
+        // Narrators named by the caller win over the ones found in the question
+        if (narrators.length) {
+            restrictTo(this.resolveNarratorIds(narrators));
+        } else if (inferred.narrators.length) {
+            restrictTo(new Set(inferred.narrators));
+        }
+
+        if (dateFrom || dateTo) {
+            const inRange = new Set();
+            this.metadata.forEach((record, id) => {
+                const date = parseInterviewDate(record.date);
+                if (!date) return;
+                if (dateFrom && date < dateFrom) return;
+                if (dateTo && date > dateTo) return;
+                inRange.add(id);
+            });
+            restrictTo(inRange);
+        }
+
+        if (tags.length && tagMode === 'restrict') {
+            restrictTo(this.documentsWithTags(tags));
+        }
+
+        const boostTags = [...inferred.tags, ...(tagMode === 'boost' ? tags : [])];
+        const boosts = new Map();
+        this.tagMatchers.forEach(matcher => {
+            if (!boostTags.some(tag => normalizeText(tag) === normalizeText(matcher.tag))) return;
+            matcher.documentIds.forEach(id => {
+                boosts.set(id, (boosts.get(id) || 0) + tagBoost);
+            });
+        });
+
+        return {
+            documentIds,
+            boosts,
+            tags: boostTags
+        };
+    }
+
+    getInterviewTags(documentId) {
+        return parseTags(this.metadata.get(String(documentId))?.tags);
+    }
+
+    // Broad topics to suggest as follow-ups: the retrieved interviews' own tags
+    // first, then the archive's most common tags
+    suggestTopics(documentIds = [], limit = 20) {
+        const topics = new Map();
+        const add = tag => {
+            const key = normalizeText(tag);
+            if (!topics.has(key) && topics.size < limit) topics.set(key, tag);
+        };
+
+        documentIds.forEach(id => this.getInterviewTags(id).forEach(add));
+        (this.tagCatalog || []).forEach(({ tag }) => add(tag));
+        return [...topics.values()];
+    }
+
+    // Looked up by file name in the current metadata.csv rather than trusting the
+    // interviewId stored at ingestion, so fixing a CSV row needs no re-embedding
+    getDocumentId(chunkMetadata) {
+        if (!chunkMetadata) return null;
+        return this.pdfIndex.get(normalizePdfName(chunkMetadata.source)) || null;
+    }
+
+    async findRelevantContext(question, filters = {}, options = {}) {
+        try {
+            const settings = { ...this.searchOptions, ...options };
+            const retrievalFilter = this.buildRetrievalFilter(question, filters, settings.tagBoost);
+            if (retrievalFilter.documentIds || retrievalFilter.boosts.size) {
+                console.log('Retrieval filter:', {
+                    documents: retrievalFilter.documentIds ? [...retrievalFilter.documentIds] : 'all',
+                    boostedTags: retrievalFilter.tags
+                });
+            }
+
+            const questionEmbedding = await this.getEmbedding(question, { onUsage: settings.onUsage });
+            const vectorResults = this.findSimilarContent(questionEmbedding, {
+                documentIds: retrievalFilter.documentIds,
+                limit: settings.candidateCount
+            });
+            const keywordResults = this.findKeywordMatches(question, {
+                documentIds: retrievalFilter.documentIds,
+                limit: settings.candidateCount
+            });
+            const similarContent = this.fuseResults(vectorResults, keywordResults, {
+                vectorWeight: settings.vectorWeight,
+                keywordWeight: settings.keywordWeight,
+                boosts: retrievalFilter.boosts
+            }).slice(0, settings.maxChunks);
+            
+            if (!similarContent || similarContent.length === 0) {
+                return [];
+            }
+
+            // Group similar content by document but keep individual chunks
+            const resultsByDoc = {};
+            
+            similarContent.forEach(item => {
+                const docId = this.getDocumentId(item.metadata);
+                if (!docId) return;
+
+                if (!resultsByDoc[docId]) {
+                    const metadata = this.metadata.get(docId);
+                    resultsByDoc[docId] = {
+                        id: docId,
+                        name: metadata?.name || 'Unknown',
+                        chunks: [],
+                        highestScore: 0
+                    };
+                }
+                
+                resultsByDoc[docId].chunks.push({
+                    index: item.index,
+                    text: item.text,
+                    page: item.metadata.page,
+                    startPage: item.metadata.startPage ?? item.metadata.page,
+                    endPage: item.metadata.endPage ?? item.metadata.page,
+                    pageLabels: item.metadata.pageLabels || [],
+                    score: item.score,
+                    vectorScore: item.vectorScore,
+                    keywordScore: item.keywordScore
+                });
+                
+                resultsByDoc[docId].highestScore = Math.max(resultsByDoc[docId].highestScore, item.score);
+            });
+
+            return Object.values(resultsByDoc)
+                .sort((a, b) => b.highestScore - a.highestScore)
+                .slice(0, settings.maxDocuments)
+                .map(doc => {
+                    const topChunks = doc.chunks
+                        .sort((a, b) => b.score - a.score)
+                        .slice(0, settings.maxChunksPerDocument);
+
+                    // Chunks can run across a page break, so include every page they cover
+                    const pages = new Set();
+                    const labels = new Map();
+                    topChunks.forEach(chunk => {
+                        for (let page = chunk.startPage; page <= chunk.endPage; page++) {
+                            pages.add(page);
+                            const label = chunk.pageLabels[page - chunk.startPage];
+                            if (label) labels.set(page, label);
+                        }
+                    });
+
+                    // Participants see the printed page numbers, not PDF indices. Unnumbered
+                    // pages (covers, title pages) are dropped once any page has a number.
+                    const citedPages = [...pages]
+                        .filter(page => !labels.size || labels.has(page))
+                        .sort((a, b) => a - b);
+                    const pageRanges = this.createPageRanges(citedPages, labels);
+
+                    // Printed page label -> PDF page index, for linking into the PDF
+                    const pdfPages = {};
+                    citedPages.forEach(page => {
+                        const label = labels.get(page) || String(page);
+                        if (!(label in pdfPages)) pdfPages[label] = page;
+                    });
+
+                    return {
+                        interview: {
+                            id: doc.id,
+                            name: doc.name,
+                            pages: pageRanges,
+                            relevanceScore: doc.highestScore,
+                            text: topChunks.map(chunk => chunk.text).join('\n\n')
+                        },
+                        pdfPages,
+                        // Kept out of the prompt; logged with the reply
+                        chunks: topChunks.map(({ index, startPage, endPage, score, vectorScore, keywordScore }) => ({
+                            index, startPage, endPage, score, vectorScore, keywordScore
+                        }))
+                    };
+                });
+        } catch (error) {
+            console.error('Error finding relevant context:', error);
+            throw error;
+        }
+    }
+
+    // pages are PDF page indices; labels maps them to the page numbers printed
+    // on the transcript. A range only continues while both run consecutively.
+    createPageRanges(pages, labels = new Map()) {
+        if (!pages.length) return [];
+
+        const labelFor = page => {
+            const label = labels.get(page) ?? String(page);
+            return /^\d+$/.test(label) ? Number(label) : label;
+        };
+        const continues = (prev, page) => {
+            const prevLabel = labelFor(prev);
+            const label = labelFor(page);
+            return page === prev + 1 && typeof label === 'number' && typeof prevLabel === 'number' && label === prevLabel + 1;
+        };
+
+        const ranges = [];
+        let rangeStart = pages[0];
+        let prev = pages[0];
+
+        for (let i = 1; i <= pages.length; i++) {
+            if (i === pages.length || !continues(prev, pages[i])) {
+                if (rangeStart === prev) {
+                    ranges.push(labelFor(rangeStart));
+                } else {
+                    ranges.push(`${labelFor(rangeStart)}-${labelFor(prev)}`);
+                }
+                if (i < pages.length) {
+                    rangeStart = pages[i];
+                }
+            }
+            if (i < pages.length) {
+                prev = pages[i];
+            }
+        }
+
+        return ranges;
+    }
+
+    findSimilarContent(queryEmbedding, { sourceName = null, documentIds = null, limit = 5 } = {}) {
+        if (!this.vectorIndex || !this.vectorIndex.size) {
+            console.log('No embeddings available');
+            return [];
+        }
+
+        if (!queryEmbedding || !Array.isArray(queryEmbedding) || queryEmbedding.length !== this.vectorIndex.dimension) {
+            console.error('Invalid query embedding');
+            return [];
+        }
+
+        const filter = (documentIds || sourceName)
+            ? idx => {
+                const metadata = this.chunkMetadata[idx] || {};
+                if (sourceName && metadata.source !== sourceName) return false;
+                return !documentIds || documentIds.has(this.getDocumentId(metadata));
+            }
+            : null;
+
+        return this.vectorIndex.search(queryEmbedding, { limit, filter }).map(({ index, score }) => ({
+            index,
+            score,
+            text: this.texts[index] || '',
+            metadata: this.chunkMetadata[index] || {}
+        }));
+    }
+
+    findKeywordMatches(question, { documentIds = null, limit = 50 } = {}) {
+        const filter = documentIds
+            ? idx => documentIds.has(this.getDocumentId(this.chunkMetadata[idx]))
+            : null;
+
+        return this.keywordIndex.search(question, { limit, filter }).map(({ index, score }) => ({
+            index,
+            score,
+            text: this.texts[index] || '',
+            metadata: this.chunkMetadata[index] || {}
+        }));
+    }
+
+    // Min-max normalize each result list so cosine and BM25 scores are comparable,
+    // then combine them with the configured weights plus any tag boosts
+    fuseResults(vectorResults, keywordResults, { vectorWeight, keywordWeight, boosts = new Map() }) {
+        const normalize = results => {
+            const scores = results.map(item => item.score);
+            const max = Math.max(...scores);
+            const min = Math.min(...scores);
+            const range = max - min;
+            return new Map(results.map(item => [item.index, range > 0 ? (item.score - min) / range : 1]));
+        };
+
+        const vectorScores = normalize(vectorResults);
+        const keywordScores = normalize(keywordResults);
+        const items = new Map();
+        [...vectorResults, ...keywordResults].forEach(item => items.set(item.index, item));
+
+        return [...items.values()]
+            .map(item => {
+                const vectorScore = vectorScores.get(item.index) || 0;
+                const keywordScore = keywordScores.get(item.index) || 0;
+                const boost = boosts.get(this.getDocumentId(item.metadata)) || 0;
+                return {
+                    ...item,
+                    vectorScore,
+                    keywordScore,
+                    score: vectorWeight * vectorScore + keywordWeight * keywordScore + boost
+                };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    async getEmbedding(text, { onUsage } = {}) {
+        const [embedding] = await this.provider.embed(text, { onUsage });
+        return embedding;
+    }
+}
+
+module.exports = {
+    AISearchEngine,
+    searchOptionsFromEnv,
+    normalizeText,
+    wordPattern,
+    parseTags,
+    parseInterviewDate
+};
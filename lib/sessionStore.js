@@ -0,0 +1,65 @@
+// Conversation history kept in Postgres, so it survives restarts and is shared
+// between instances. A session's history is rebuilt from chat_messages; the
+// chat_sessions row ties the session to its Qualtrics participant and marks
+// where the history starts again after the session has been idle too long.
+class SessionStore {
+    constructor(pool, { chatbotId, historyLength = 6, idleTimeoutMinutes = 30 } = {}) {
+        this.pool = pool;
+        this.chatbotId = chatbotId;
+        this.historyLength = historyLength;
+        this.idleTimeoutMinutes = idleTimeoutMinutes;
+    }
+
+    // Records activity on the session and returns the history to send with the
+    // next question, oldest message first
+    async startTurn({ sessionId, qualtricsId }) {
+        const result = await this.pool.query(
+            `INSERT INTO chat_sessions (session_id, qualtrics_id, chatbot_id)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (session_id) DO UPDATE SET
+                 qualtrics_id = CASE
+                     WHEN chat_sessions.qualtrics_id IS NULL OR chat_sessions.qualtrics_id = 'unknown'
+                     THEN EXCLUDED.qualtrics_id
+                     ELSE chat_sessions.qualtrics_id
+                 END,
+                 history_start_at = CASE
+                     WHEN chat_sessions.last_active_at < NOW() - $4::float8 * INTERVAL '1 minute'
+                     THEN NOW()
+                     ELSE chat_sessions.history_start_at
+                 END,
+                 last_active_at = NOW()
+             RETURNING session_id, qualtrics_id, history_start_at`,
+            [sessionId, qualtricsId, this.chatbotId, this.idleTimeoutMinutes]
+        );
+
+        const session = result.rows[0] || {};
+        if (session.qualtrics_id && qualtricsId !== 'unknown' && session.qualtrics_id !== qualtricsId) {
+            console.warn('Session reused by a different participant:', {
+                sessionId,
+                sessionQualtricsId: session.qualtrics_id,
+                qualtricsId
+            });
+        }
+
+        return this.getHistory(sessionId, session.history_start_at || null);
+    }
+
+    async getHistory(sessionId, since = null) {
+        if (this.historyLength <= 0) return [];
+
+        const result = await this.pool.query(
+            `SELECT role, content FROM chat_messages
+             WHERE session_id = $1 AND chatbot_id = $2 AND role IN ('user', 'assistant')
+               AND ($3::timestamptz IS NULL OR timestamp >= $3)
+             ORDER BY id DESC
+             LIMIT $4`,
+            [sessionId, this.chatbotId, since, this.historyLength]
+        );
+
+        return result.rows
+            .reverse()
+            .map(({ role, content }) => ({ role, content }));
+    }
+}
+
+module.exports = { SessionStore };
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const { normalizeText, wordPattern } = require('./searchEngine');
+const { parseCitations } = require('./guardrail');
+const { expandPages } = require('./citations');
+
+// Scripted tasks from a bot's task file (config/tasks). Each task has:
+//   match     - narrators: all must be named (full or last name)
+//               keywords: at least one must appear
+//               examples + minSimilarity: or the question embeds close to an example
+//   mode      - "force": reply with the task's citations without asking the model
+//               "check": let the model answer, then hold it to the task
+//   citations - [{ interviewId, name, pages, text? }]; when empty, the retrieved
+//               pages of the matched narrators are cited
+//   topic     - the only topic label allowed
+//   followUp  - the follow-up line the reply must end with
+
+const MODES = ['force', 'check'];
+
+function loadTasks(filePath) {
+    const tasks = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(tasks)) {
+        throw new Error(`Task file ${filePath} must contain a list of tasks`);
+    }
+
+    const ids = new Set();
+    return tasks.map(task => {
+        const match = task.match || {};
+        if (!task.id) throw new Error(`Task in ${filePath} needs an id`);
+        if (ids.has(task.id)) throw new Error(`Duplicate task id: ${task.id}`);
+        ids.add(task.id);
+
+        if (!MODES.includes(task.mode || 'check')) {
+            throw new Error(`Task ${task.id}: mode must be one of ${MODES.join(', ')}`);
+        }
+        if (![match.narrators, match.keywords, match.examples].some(list => list?.length)) {
+            throw new Error(`Task ${task.id} needs narrators, keywords or examples to match on`);
+        }
+        if (!task.followUp) {
+            throw new Error(`Task ${task.id} needs a followUp line`);
+        }
+
+        return {
+            id: task.id,
+            description: task.description || '',
+            mode: task.mode || 'check',
+            match: {
+                narrators: match.narrators || [],
+                keywords: match.keywords || [],
+                examples: match.examples || [],
+                minSimilarity: match.minSimilarity ?? 0.85
+            },
+            citations: (task.citations || []).map(citation => ({
+                interviewId: citation.interviewId ? String(citation.interviewId) : null,
+                name: citation.name,
+                pages: (citation.pages || []).map(String),
+                text: citation.text || null
+            })),
+            topic: task.topic || null,
+            followUp: task.followUp.trim()
+        };
+    });
+}
+
+function namePatterns(name) {
+    const fullName = normalizeText(name).trim();
+    const parts = fullName.split(/\s+/);
+    const lastName = parts[parts.length - 1];
+    return [fullName, ...(parts.length > 1 && lastName.length >= 4 ? [lastName] : [])].map(wordPattern);
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function formatCitation({ interviewId, name, pages }) {
+    const pageWord = pages.length === 1 && !String(pages[0]).includes('-') ? 'page' : 'pages';
+    const source = interviewId
+        ? `the transcript of Interview #${interviewId} with ${name}`
+        : `${name}'s interview`;
+    return `You can find relevant information in ${source} on ${pageWord} ${pages.join(', ')}.`;
+}
+
+const squash = text => normalizeText(text).replace(/\s+/g, ' ').trim();
+
+class TaskEngine {
+    constructor(tasks, { provider } = {}) {
+        this.tasks = tasks.map(task => ({
+            ...task,
+            narratorPatterns: task.match.narrators.map(namePatterns),
+            keywordPatterns: task.match.keywords.map(keyword => wordPattern(normalizeText(keyword)))
+        }));
+        this.provider = provider;
+        this.exampleEmbeddings = null;
+    }
+
+    // First task whose matchers fit the question, or null. onUsage receives
+    // the token usage of the embedding requests.
+    async match(question, { onUsage } = {}) {
+        const text = normalizeText(question || '');
+
+        const ruleMatch = this.tasks.find(task => {
+            const hasRules = task.narratorPatterns.length || task.keywordPatterns.length;
+            return hasRules &&
+                task.narratorPatterns.every(patterns => patterns.some(pattern => pattern.test(text))) &&
+                (!task.keywordPatterns.length || task.keywordPatterns.some(pattern => pattern.test(text)));
+        });
+        if (ruleMatch) return { task: ruleMatch, method: 'rules' };
+
+        const withExamples = this.tasks.filter(task => task.match.examples.length);
+        if (!withExamples.length || !this.provider) return null;
+
+        try {
+            await this.embedExamples(withExamples, { onUsage });
+            const [questionEmbedding] = await this.provider.embed(question, { onUsage });
+
+            let best = null;
+            withExamples.forEach(task => {
+                const similarity = Math.max(...this.exampleEmbeddings.get(task.id).map(embedding => cosine(questionEmbedding, embedding)));
+                if (similarity >= task.match.minSimilarity && (!best || similarity > best.similarity)) {
+                    best = { task, method: 'embedding', similarity };
+                }
+            });
+            return best;
+        } catch (error) {
+            // Task matching is best effort; the prompt and guardrail still apply
+            console.error('Error matching task examples:', error);
+            return null;
+        }
+    }
+
+    async embedExamples(tasks, { onUsage } = {}) {
+        if (this.exampleEmbeddings) return;
+        const examples = tasks.flatMap(task => task.match.examples);
+        const embeddings = await this.provider.embed(examples, { onUsage });
+
+        const byTask = new Map();
+        let offset = 0;
+        tasks.forEach(task => {
+            byTask.set(task.id, embeddings.slice(offset, offset + task.match.examples.length));
+            offset += task.match.examples.length;
+        });
+        this.exampleEmbeddings = byTask;
+    }
+
+    // The citations a task requires: its own, or the retrieved pages of its narrators
+    requiredCitations(task, context) {
+        if (task.citations.length) return task.citations;
+
+        return context
+            .map(item => item.interview)
+            .filter(interview => interview && (!task.narratorPatterns.length ||
+                task.narratorPatterns.some(patterns => patterns.some(pattern => pattern.test(normalizeText(interview.name || ''))))))
+            .map(interview => ({ interviewId: String(interview.id), name: interview.name, pages: (interview.pages || []).map(String), text: null }));
+    }
+
+    // The retrieved context plus the interviews and pages the task cites, so
+    // task citations count as verified even where retrieval missed them
+    citationContext(task, context) {
+        const extended = context.map(item => ({ ...item, interview: { ...item.interview } }));
+
+        task.citations.forEach(citation => {
+            const item = extended.find(entry => citation.interviewId && String(entry.interview.id) === citation.interviewId);
+            if (item) {
+                item.interview.pages = [...new Set([...(item.interview.pages || []).map(String), ...citation.pages])];
+            } else {
+                extended.push({
+                    interview: { id: citation.interviewId, name: citation.name, pages: citation.pages },
+                    pdfPages: {}
+                });
+            }
+        });
+
+        return extended;
+    }
+
+    // Extra system message so the model knows what the task expects
+    instructions(task, context) {
+        const citations = this.requiredCitations(task, context);
+        const lines = [
+            'This question is a predefined task. Your reply MUST follow these requirements exactly:',
+            citations.length
+                ? `- Cite, in this order:\n${citations.map(citation => `  "${citation.text || formatCitation(citation)}"`).join('\n')}`
+                : '- Cite only the relevant pages from the context',
+            task.topic ? `- Use only this topic label: "This section discusses ${task.topic}."` : null,
+            `- End with exactly: "${task.followUp}"`
+        ];
+        return lines.filter(Boolean).join('\n');
+    }
+
+    render(task, context) {
+        const citations = this.requiredCitations(task, context);
+        const body = citations.length
+            ? citations.map(citation => citation.text || formatCitation(citation)).join(' ')
+            : "I couldn't find any interviews directly addressing this topic.";
+        const topic = citations.length && task.topic ? ` This section discusses ${task.topic}.` : '';
+        return `${body}${topic}\n\n${task.followUp}`;
+    }
+
+    // Violations, in the guardrail's format, for a reply that doesn't do what the task requires
+    check(task, response, context) {
+        const violations = [];
+        const text = squash(response);
+        const cited = parseCitations(response);
+
+        const missing = this.requiredCitations(task, context).filter(required => !cited.some(citation => {
+            const sameInterview = citation.interviewId
+                ? citation.interviewId === required.interviewId
+                : squash(citation.name) === squash(required.name);
+            const pages = new Set(expandPages(citation.pages));
+            return sameInterview && expandPages(required.pages).every(page => pages.has(page));
+        }));
+        if (missing.length) {
+            violations.push({
+                type: 'task_citation',
+                message: `Reply does not cite ${missing.map(citation => `${citation.name} on page(s) ${citation.pages.join(', ')}`).join(' and ')}`
+            });
+        }
+
+        if (task.topic && !text.includes(squash(`This section discusses ${task.topic}`))) {
+            violations.push({ type: 'task_topic', message: `Reply does not use the topic label "${task.topic}"` });
+        }
+
+        if (!text.endsWith(squash(task.followUp))) {
+            violations.push({ type: 'task_follow_up', message: `Reply does not end with "${task.followUp}"` });
+        }
+
+        return violations;
+    }
+}
+
+module.exports = { TaskEngine, loadTasks, formatCitation };
@@ -0,0 +1,49 @@
+// Daily token usage per bot, kept in bot_usage_daily so the budget holds
+// across restarts and instances. Days are UTC.
+class UsageTracker {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async today(chatbotId) {
+        const result = await this.pool.query(
+            `SELECT requests, prompt_tokens, completion_tokens, total_tokens
+             FROM bot_usage_daily
+             WHERE day = (NOW() AT TIME ZONE 'UTC')::date AND chatbot_id = $1`,
+            [chatbotId]
+        );
+        const row = result.rows[0] || {};
+        return {
+            requests: Number(row.requests) || 0,
+            promptTokens: Number(row.prompt_tokens) || 0,
+            completionTokens: Number(row.completion_tokens) || 0,
+            totalTokens: Number(row.total_tokens) || 0
+        };
+    }
+
+    async record(chatbotId, { promptTokens = 0, completionTokens = 0, totalTokens = 0 } = {}) {
+        await this.pool.query(
+            `INSERT INTO bot_usage_daily (day, chatbot_id, requests, prompt_tokens, completion_tokens, total_tokens)
+             VALUES ((NOW() AT TIME ZONE 'UTC')::date, $1, 1, $2, $3, $4)
+             ON CONFLICT (day, chatbot_id) DO UPDATE SET
+                 requests = bot_usage_daily.requests + 1,
+                 prompt_tokens = bot_usage_daily.prompt_tokens + EXCLUDED.prompt_tokens,
+                 completion_tokens = bot_usage_daily.completion_tokens + EXCLUDED.completion_tokens,
+                 total_tokens = bot_usage_daily.total_tokens + EXCLUDED.total_tokens`,
+            [chatbotId, promptTokens, completionTokens, totalTokens]
+        );
+    }
+
+    async daily({ from = null, to = null } = {}) {
+        const result = await this.pool.query(
+            `SELECT day, chatbot_id, requests, prompt_tokens, completion_tokens, total_tokens
+             FROM bot_usage_daily
+             WHERE ($1::date IS NULL OR day >= $1) AND ($2::date IS NULL OR day <= $2)
+             ORDER BY day DESC, chatbot_id`,
+            [from, to]
+        );
+        return result.rows;
+    }
+}
+
+module.exports = { UsageTracker };
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+
+// On-disk layout of an index directory:
+//   CURRENT        - name of the build directory readers should use
+//   builds/<name>/ - one directory per build, never modified once CURRENT points at it:
+//     manifest.json  - format version, dimension, count, embedding model
+//     vectors.bin    - count * dimension little-endian Float32 values, each row L2-normalized
+//     chunks.json    - one { text, ...metadata } entry per row, in the same order
+// Indexes written before builds existed keep the three files in the index directory itself.
+const INDEX_FORMAT = 'float32-normalized-v1';
+const POINTER_FILE = 'CURRENT';
+const BUILDS_DIR = 'builds';
+const MANIFEST_FILE = 'manifest.json';
+const VECTORS_FILE = 'vectors.bin';
+const CHUNKS_FILE = 'chunks.json';
+
+// Older builds are kept so a reader that resolved one just before a switch can finish loading it
+const KEEP_BUILDS = 3;
+
+function normalizeVector(vector, target = new Float32Array(vector.length)) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+        norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < vector.length; i++) {
+        target[i] = vector[i] / norm;
+    }
+    return target;
+}
+
+// Fixed-size min-heap that keeps the k highest scores seen so far
+class TopK {
+    constructor(k) {
+        this.k = k;
+        this.items = [];
+    }
+
+    push(index, score) {
+        if (this.k <= 0) return;
+        if (this.items.length < this.k) {
+            this.items.push({ index, score });
+            this.siftUp(this.items.length - 1);
+        } else if (score > this.items[0].score) {
+            this.items[0] = { index, score };
+            this.siftDown(0);
+        }
+    }
+
+    siftUp(position) {
+        const items = this.items;
+        while (position > 0) {
+            const parent = (position - 1) >> 1;
+            if (items[parent].score <= items[position].score) break;
+            [items[parent], items[position]] = [items[position], items[parent]];
+            position = parent;
+        }
+    }
+
+    siftDown(position) {
+        const items = this.items;
+        for (;;) {
+            const left = position * 2 + 1;
+            const right = left + 1;
+            let smallest = position;
+            if (left < items.length && items[left].score < items[smallest].score) smallest = left;
+            if (right < items.length && items[right].score < items[smallest].score) smallest = right;
+            if (smallest === position) break;
+            [items[smallest], items[position]] = [items[position], items[smallest]];
+            position = smallest;
+        }
+    }
+
+    sorted() {
+        return [...this.items].sort((a, b) => b.score - a.score);
+    }
+}
+
+class VectorIndex {
+    constructor({ vectors, dimension, chunks, manifest = {} }) {
+        this.vectors = vectors;
+        this.dimension = dimension;
+        this.chunks = chunks;
+        this.manifest = manifest;
+    }
+
+    get size() {
+        return this.chunks.length;
+    }
+
+    // The directory holding the current build's files
+    static resolve(dir) {
+        const pointer = path.join(dir, POINTER_FILE);
+        if (fs.existsSync(pointer)) {
+            return path.join(dir, BUILDS_DIR, fs.readFileSync(pointer, 'utf8').trim());
+        }
+        return dir;
+    }
+
+    static exists(dir) {
+        return fs.existsSync(path.join(VectorIndex.resolve(dir), MANIFEST_FILE));
+    }
+
+    // The pointer is read once, so all three files come from the same build
+    static load(indexDir) {
+        const dir = VectorIndex.resolve(indexDir);
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+        if (manifest.format !== INDEX_FORMAT) {
+            throw new Error(`Unsupported index format: ${manifest.format}`);
+        }
+
+        const buffer = fs.readFileSync(path.join(dir, VECTORS_FILE));
+        if (buffer.length !== manifest.count * manifest.dimension * 4) {
+            throw new Error(`Index vectors file has ${buffer.length} bytes, expected ${manifest.count * manifest.dimension * 4}`);
+        }
+
+        // Copy into an aligned buffer; Node may hand back a slice of a shared pool
+        const vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+        const chunks = JSON.parse(fs.readFileSync(path.join(dir, CHUNKS_FILE), 'utf8'));
+        if (chunks.length !== manifest.count) {
+            throw new Error(`Index has ${manifest.count} vectors but ${chunks.length} chunks`);
+        }
+
+        return new VectorIndex({ vectors, dimension: manifest.dimension, chunks, manifest });
+    }
+
+    // Builds an in-memory index from the old embeddings.json layout
+    static fromEmbeddings(embeddings, chunks, manifest = {}) {
+        const dimension = embeddings[0]?.length || 0;
+        const vectors = new Float32Array(embeddings.length * dimension);
+        embeddings.forEach((embedding, row) => {
+            if (!Array.isArray(embedding) || embedding.length !== dimension) {
+                throw new Error(`Invalid embedding at index ${row}`);
+            }
+            normalizeVector(embedding, vectors.subarray(row * dimension, (row + 1) * dimension));
+        });
+        return new VectorIndex({ vectors, dimension, chunks, manifest: { format: INDEX_FORMAT, ...manifest } });
+    }
+
+    search(queryVector, { limit = 5, filter = null } = {}) {
+        if (!queryVector || queryVector.length !== this.dimension) {
+            throw new Error(`Query vector has dimension ${queryVector?.length}, expected ${this.dimension}`);
+        }
+
+        const query = normalizeVector(queryVector);
+        const vectors = this.vectors;
+        const dimension = this.dimension;
+        const top = new TopK(limit);
+
+        for (let row = 0; row < this.size; row++) {
+            if (filter && !filter(row)) continue;
+            const offset = row * dimension;
+            let score = 0;
+            for (let i = 0; i < dimension; i++) {
+                score += query[i] * vectors[offset + i];
+            }
+            top.push(row, score);
+        }
+
+        return top.sorted();
+    }
+}
+
+function writeVectorIndex(dir, { embeddings, chunks, model }) {
+    if (embeddings.length !== chunks.length) {
+        throw new Error(`Got ${embeddings.length} embeddings for ${chunks.length} chunks`);
+    }
+
+    const index = VectorIndex.fromEmbeddings(embeddings, chunks);
+    const manifest = {
+        format: INDEX_FORMAT,
+        version: new Date().toISOString(),
+        model,
+        dimension: index.dimension,
+        count: index.size
+    };
+
+    // Write the whole build into a directory of its own, then switch readers to
+    // it by renaming one pointer file, which is atomic. A reader sees either the
+    // old build or the new one, never files from both.
+    const buildsDir = path.join(dir, BUILDS_DIR);
+    fs.mkdirSync(buildsDir, { recursive: true });
+    const buildDir = fs.mkdtempSync(path.join(buildsDir, `${manifest.version.replace(/[:.]/g, '-')}-`));
+    manifest.build = path.basename(buildDir);
+
+    fs.writeFileSync(path.join(buildDir, VECTORS_FILE), Buffer.from(index.vectors.buffer, index.vectors.byteOffset, index.vectors.byteLength));
+    fs.writeFileSync(path.join(buildDir, CHUNKS_FILE), JSON.stringify(chunks));
+    fs.writeFileSync(path.join(buildDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    const pointer = path.join(dir, POINTER_FILE);
+    fs.writeFileSync(`${pointer}.tmp`, manifest.build);
+    fs.renameSync(`${pointer}.tmp`, pointer);
+
+    pruneBuilds(buildsDir, manifest.build);
+    return manifest;
+}
+
+// Oldest first by when each build was finished; several builds can share a millisecond
+function pruneBuilds(buildsDir, current) {
+    const builds = fs.readdirSync(buildsDir)
+        .filter(name => name !== current)
+        .map(name => ({ name, finishedAt: fs.statSync(path.join(buildsDir, name)).mtimeMs }))
+        .sort((a, b) => a.finishedAt - b.finishedAt)
+        .map(({ name }) => name);
+    builds.slice(0, Math.max(builds.length - (KEEP_BUILDS - 1), 0)).forEach(name => {
+        fs.rmSync(path.join(buildsDir, name), { recursive: true, force: true });
+    });
+}
+
+module.exports = { VectorIndex, writeVectorIndex, normalizeVector, TopK, INDEX_FORMAT };
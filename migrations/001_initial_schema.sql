@@ -0,0 +1,36 @@
+-- Tables that used to be created at server startup. IF NOT EXISTS keeps this
+-- safe on databases that already have them.
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id SERIAL PRIMARY KEY,
+    qualtrics_id VARCHAR(255),
+    session_id VARCHAR(255),
+    role VARCHAR(10),
+    content TEXT,
+    chatbot_id VARCHAR(50),
+    timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS chat_messages_session_idx ON chat_messages (session_id, id);
+
+-- One row per conversation, linking it to the Qualtrics participant
+CREATE TABLE IF NOT EXISTS chat_sessions (
+    session_id VARCHAR(255) PRIMARY KEY,
+    qualtrics_id VARCHAR(255),
+    chatbot_id VARCHAR(50),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    last_active_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    history_start_at TIMESTAMPTZ
+);
+
+-- Every guardrail violation and what was done about it, for the study logs
+CREATE TABLE IF NOT EXISTS guardrail_events (
+    id SERIAL PRIMARY KEY,
+    qualtrics_id VARCHAR(255),
+    session_id VARCHAR(255),
+    chatbot_id VARCHAR(50),
+    attempt INTEGER,
+    action VARCHAR(20),
+    violations JSONB,
+    response TEXT,
+    timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
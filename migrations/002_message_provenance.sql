@@ -0,0 +1,13 @@
+-- How each assistant reply was produced: what was searched and retrieved,
+-- which model answered, what it cost and what the guardrail did
+ALTER TABLE chat_messages
+    ADD COLUMN IF NOT EXISTS search_query TEXT,
+    ADD COLUMN IF NOT EXISTS retrieval JSONB,
+    ADD COLUMN IF NOT EXISTS model VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS temperature REAL,
+    ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER,
+    ADD COLUMN IF NOT EXISTS completion_tokens INTEGER,
+    ADD COLUMN IF NOT EXISTS total_tokens INTEGER,
+    ADD COLUMN IF NOT EXISTS latency_ms INTEGER,
+    ADD COLUMN IF NOT EXISTS guardrail JSONB,
+    ADD COLUMN IF NOT EXISTS citations JSONB;
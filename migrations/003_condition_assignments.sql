@@ -0,0 +1,13 @@
+-- Which experimental condition each Qualtrics participant is in, per study
+CREATE TABLE IF NOT EXISTS condition_assignments (
+    study_id VARCHAR(100) NOT NULL,
+    qualtrics_id VARCHAR(255) NOT NULL,
+    condition_id VARCHAR(100) NOT NULL,
+    bot_id VARCHAR(50),
+    method VARCHAR(20),
+    assigned_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (study_id, qualtrics_id)
+);
+
+ALTER TABLE chat_messages
+    ADD COLUMN IF NOT EXISTS condition_id VARCHAR(100);
@@ -0,0 +1,12 @@
+-- Participant ratings of bot replies; one row per reply, updated if they change their mind
+CREATE TABLE IF NOT EXISTS message_feedback (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER NOT NULL UNIQUE REFERENCES chat_messages (id) ON DELETE CASCADE,
+    qualtrics_id VARCHAR(255),
+    session_id VARCHAR(255),
+    rating SMALLINT CHECK (rating IN (-1, 1)),
+    page_feedback VARCHAR(20) CHECK (page_feedback IN ('helpful', 'wrong')),
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
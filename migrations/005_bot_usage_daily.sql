@@ -0,0 +1,10 @@
+-- Token usage per bot and day (UTC), checked against each bot's daily budget
+CREATE TABLE IF NOT EXISTS bot_usage_daily (
+    day DATE NOT NULL,
+    chatbot_id VARCHAR(50) NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    prompt_tokens BIGINT NOT NULL DEFAULT 0,
+    completion_tokens BIGINT NOT NULL DEFAULT 0,
+    total_tokens BIGINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, chatbot_id)
+);
@@ -0,0 +1,262 @@
+const express = require('express');
+const { requireAdmin } = require('../lib/adminAuth');
+const { csvRow, toCsv } = require('../lib/csv');
+
+const EXPORT_BATCH_SIZE = 1000;
+
+// One row per message, keyed by qualtrics_id for merging with Qualtrics exports
+const EXPORT_COLUMNS = [
+    'message_id', 'qualtrics_id', 'session_id', 'chatbot_id', 'role', 'content', 'timestamp',
+    'search_query', 'model', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'latency_ms',
+    'guardrail_action', 'citations', 'condition_id'
+];
+
+// Feedback summaries can be grouped by any of these
+const FEEDBACK_GROUPS = {
+    bot: ['chatbot_id'],
+    condition: ['chatbot_id', 'condition_id'],
+    session: ['chatbot_id', 'session_id', 'qualtrics_id']
+};
+
+const FEEDBACK_COLUMNS = [
+    'replies', 'rated_replies', 'thumbs_up', 'thumbs_down', 'mean_rating', 'pages_helpful', 'pages_wrong',
+    'comments', 'mean_top_score', 'mean_top_score_up', 'mean_top_score_down'
+];
+
+// ?participants=a,b and ?participants=a&participants=b both work
+function parseList(value) {
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Shared by the export and analytics routes: chatbotId, from, to, participants
+function parseMessageFilters(query) {
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from === undefined || to === undefined) {
+        return { error: 'from and to must be valid dates' };
+    }
+
+    return {
+        chatbotId: query.chatbotId || null,
+        from,
+        to,
+        participants: parseList(query.participants)
+    };
+}
+
+// WHERE clause over chat_messages for the parsed filters, numbering its
+// parameters after any the caller already has
+function messageFilterClause({ chatbotId, from, to, participants }, params = []) {
+    const conditions = [];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (chatbotId) add('chatbot_id = ?', chatbotId);
+    if (from) add('timestamp >= ?', from);
+    if (to) add('timestamp <= ?', to);
+    if (participants.length) add('qualtrics_id = ANY(?)', participants);
+
+    return { where: conditions.length ? conditions.join(' AND ') : 'TRUE', params };
+}
+
+// Resolves once the response can take more data, or the client has gone
+function drained(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+function createAdminRouter({ pool, adminToken, indexManager, rateLimiter, usageTracker, chatServices }) {
+    const router = express.Router();
+    router.use(requireAdmin(adminToken));
+
+    // Rate limiter counters for this instance, today's usage against each bot's
+    // budget, and daily totals (?from=&to= as dates)
+    router.get('/usage', async (req, res) => {
+        const filters = parseMessageFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+
+        try {
+            const budgets = await Promise.all([...chatServices.values()].map(service => service.budgetStatus()));
+            const daily = await usageTracker.daily({
+                from: filters.from && filters.from.toISOString().slice(0, 10),
+                to: filters.to && filters.to.toISOString().slice(0, 10)
+            });
+            res.json({ rateLimits: rateLimiter.stats(), budgets, daily });
+        } catch (error) {
+            console.error('Error reading usage:', error);
+            res.status(500).json({ error: 'Failed to read usage' });
+        }
+    });
+
+    router.get('/index', (req, res) => {
+        res.json(indexManager.status());
+    });
+
+    // Loads a newly generated index from disk and swaps it in once it is fully
+    // initialized; requests in flight finish on the index they started with
+    router.post('/index/reload', async (req, res) => {
+        if (!indexManager.canReload) {
+            return res.status(501).json({ error: 'Index reload is not available' });
+        }
+
+        try {
+            const status = await indexManager.load();
+            res.json({ status: 'reloaded', index: status });
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to reload index; the previous index is still in use',
+                details: error.message,
+                index: indexManager.status()
+            });
+        }
+    });
+
+    // Streams chat_messages as CSV or JSONL. Rows are read in id order in
+    // batches (keyset pagination), so large exports never sit in memory.
+    router.get('/export', async (req, res) => {
+        const format = (req.query.format || 'csv').toLowerCase();
+        if (!['csv', 'jsonl'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or jsonl' });
+        }
+
+        const filters = parseMessageFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+        });
+
+        try {
+            const stamp = new Date().toISOString().slice(0, 10);
+            res.set({
+                'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+                'Content-Disposition': `attachment; filename="chat-messages-${stamp}.${format}"`
+            });
+            if (format === 'csv') res.write(csvRow(EXPORT_COLUMNS));
+
+            let lastId = 0;
+            let count = 0;
+            while (!closed) {
+                const { where, params } = messageFilterClause(filters, [lastId]);
+                const result = await pool.query(
+                    `SELECT id AS message_id, qualtrics_id, session_id, chatbot_id, role, content, timestamp,
+                            search_query, model, prompt_tokens, completion_tokens, total_tokens, latency_ms,
+                            guardrail->>'action' AS guardrail_action, citations, condition_id
+                     FROM chat_messages
+                     WHERE id > $1 AND ${where}
+                     ORDER BY id
+                     LIMIT ${EXPORT_BATCH_SIZE}`,
+                    params
+                );
+
+                for (const row of result.rows) {
+                    const line = format === 'csv'
+                        ? csvRow(EXPORT_COLUMNS.map(column => row[column]))
+                        : `${JSON.stringify(row)}\n`;
+                    if (!res.write(line)) await drained(res);
+                }
+
+                count += result.rows.length;
+                if (result.rows.length < EXPORT_BATCH_SIZE) break;
+                lastId = result.rows[result.rows.length - 1].message_id;
+            }
+
+            console.log('Exported chat messages:', { format, count, ...filters });
+            res.end();
+        } catch (error) {
+            console.error('Error exporting chat messages:', error);
+            if (!res.headersSent) {
+                res.removeHeader('Content-Disposition');
+                res.status(500).json({ error: 'Failed to export chat messages' });
+            } else {
+                // The status is already sent; cut the download short so it isn't mistaken for complete
+                res.destroy(error);
+            }
+        }
+    });
+
+    // Participant feedback per bot, condition or session, next to the retrieval
+    // score of the rated replies (relevance of the top retrieved interview)
+    router.get('/feedback', async (req, res) => {
+        const groupBy = req.query.groupBy || 'bot';
+        const groupColumns = FEEDBACK_GROUPS[groupBy];
+        if (!groupColumns) {
+            return res.status(400).json({ error: `groupBy must be one of ${Object.keys(FEEDBACK_GROUPS).join(', ')}` });
+        }
+
+        const format = (req.query.format || 'json').toLowerCase();
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or csv' });
+        }
+
+        const filters = parseMessageFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+
+        try {
+            const { where, params } = messageFilterClause(filters);
+            const groups = groupColumns.map(column => `m.${column}`).join(', ');
+            const result = await pool.query(
+                `SELECT ${groups},
+                        COUNT(*)::int AS replies,
+                        COUNT(f.id)::int AS rated_replies,
+                        COUNT(*) FILTER (WHERE f.rating = 1)::int AS thumbs_up,
+                        COUNT(*) FILTER (WHERE f.rating = -1)::int AS thumbs_down,
+                        AVG(f.rating)::float AS mean_rating,
+                        COUNT(*) FILTER (WHERE f.page_feedback = 'helpful')::int AS pages_helpful,
+                        COUNT(*) FILTER (WHERE f.page_feedback = 'wrong')::int AS pages_wrong,
+                        COUNT(f.comment)::int AS comments,
+                        AVG(m.top_score) AS mean_top_score,
+                        AVG(m.top_score) FILTER (WHERE f.rating = 1) AS mean_top_score_up,
+                        AVG(m.top_score) FILTER (WHERE f.rating = -1) AS mean_top_score_down
+                 FROM (
+                     SELECT *, (retrieval->'interviews'->0->>'relevanceScore')::float AS top_score
+                     FROM chat_messages
+                     WHERE role = 'assistant' AND ${where}
+                 ) m
+                 LEFT JOIN message_feedback f ON f.message_id = m.id
+                 GROUP BY ${groups}
+                 ORDER BY ${groups}`,
+                params
+            );
+
+            if (format === 'csv') {
+                res.type('text/csv').send(toCsv([...groupColumns, ...FEEDBACK_COLUMNS], result.rows));
+            } else {
+                res.json({ groupBy, rows: result.rows });
+            }
+        } catch (error) {
+            console.error('Error summarizing feedback:', error);
+            res.status(500).json({ error: 'Failed to summarize feedback' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter, parseMessageFilters, messageFilterClause, parseList };
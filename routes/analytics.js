@@ -0,0 +1,270 @@
+const express = require('express');
+const { toCsv } = require('../lib/csv');
+const { parseMessageFilters, messageFilterClause } = require('./admin');
+
+const DEFAULT_TOP = 20;
+const MAX_TOP = 500;
+
+// The reply every profile is told to give when retrieval finds nothing
+const NO_RESULTS_PATTERN = '%find any interviews directly addressing%';
+
+// Conversations per bot, counted over sessions (conversations with a session id)
+async function summaryReport(pool, { where, params }) {
+    params.push(NO_RESULTS_PATTERN);
+    const result = await pool.query(
+        `WITH sessions AS (
+             SELECT chatbot_id, session_id, MIN(qualtrics_id) AS qualtrics_id,
+                    COUNT(*) FILTER (WHERE role = 'user')::int AS turns,
+                    COUNT(*) FILTER (WHERE role = 'assistant')::int AS replies,
+                    COUNT(*) FILTER (WHERE role = 'assistant' AND content ILIKE $${params.length})::int AS no_results_replies,
+                    EXTRACT(EPOCH FROM MAX(timestamp) - MIN(timestamp))::float AS duration_seconds
+             FROM chat_messages
+             WHERE session_id IS NOT NULL AND ${where}
+             GROUP BY chatbot_id, session_id
+         )
+         SELECT chatbot_id,
+                COUNT(*)::int AS sessions,
+                COUNT(DISTINCT qualtrics_id)::int AS participants,
+                SUM(turns)::int AS turns,
+                AVG(turns)::float AS mean_turns_per_session,
+                PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY turns)::float AS median_turns_per_session,
+                MAX(turns)::int AS max_turns_per_session,
+                AVG(duration_seconds)::float AS mean_session_seconds,
+                PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY duration_seconds)::float AS median_session_seconds,
+                SUM(replies)::int AS replies,
+                SUM(no_results_replies)::int AS no_results_replies,
+                SUM(no_results_replies)::float / NULLIF(SUM(replies), 0) AS no_results_share
+         FROM sessions
+         GROUP BY chatbot_id
+         ORDER BY chatbot_id`,
+        params
+    );
+    return result.rows;
+}
+
+// One row per session, for distributions the summary only gives averages of
+async function sessionsReport(pool, { where, params }) {
+    params.push(NO_RESULTS_PATTERN);
+    const result = await pool.query(
+        `SELECT chatbot_id, session_id,
+                MIN(qualtrics_id) AS qualtrics_id,
+                MAX(condition_id) AS condition_id,
+                MIN(timestamp) AS started_at,
+                MAX(timestamp) AS ended_at,
+                EXTRACT(EPOCH FROM MAX(timestamp) - MIN(timestamp))::float AS duration_seconds,
+                COUNT(*) FILTER (WHERE role = 'user')::int AS turns,
+                COUNT(*) FILTER (WHERE role = 'assistant')::int AS replies,
+                COUNT(*) FILTER (WHERE role = 'assistant' AND content ILIKE $${params.length})::int AS no_results_replies
+         FROM chat_messages
+         WHERE session_id IS NOT NULL AND ${where}
+         GROUP BY chatbot_id, session_id
+         ORDER BY chatbot_id, started_at`,
+        params
+    );
+    return result.rows;
+}
+
+// Verified citations stored with each reply, most cited first per bot
+async function interviewsReport(pool, { where, params }, { top }) {
+    params.push(top);
+    const result = await pool.query(
+        `SELECT chatbot_id, interview_id, citations, replies, sessions
+         FROM (
+             SELECT chatbot_id, citation->>'interviewId' AS interview_id,
+                    COUNT(*)::int AS citations,
+                    COUNT(DISTINCT id)::int AS replies,
+                    COUNT(DISTINCT session_id)::int AS sessions,
+                    ROW_NUMBER() OVER (PARTITION BY chatbot_id ORDER BY COUNT(*) DESC, citation->>'interviewId') AS ranking
+             FROM chat_messages
+             CROSS JOIN LATERAL jsonb_array_elements(COALESCE(citations, '[]'::jsonb)) AS c(citation)
+             WHERE role = 'assistant' AND ${where}
+             GROUP BY chatbot_id, citation->>'interviewId'
+         ) ranked
+         WHERE ranking <= $${params.length}
+         ORDER BY chatbot_id, ranking`,
+        params
+    );
+    return result.rows;
+}
+
+// Pages are counted as cited, so a range like "4-5" is one entry
+async function pagesReport(pool, { where, params }, { top }) {
+    params.push(top);
+    const result = await pool.query(
+        `SELECT chatbot_id, interview_id, page, citations, sessions
+         FROM (
+             SELECT chatbot_id, citation->>'interviewId' AS interview_id, page,
+                    COUNT(*)::int AS citations,
+                    COUNT(DISTINCT session_id)::int AS sessions,
+                    ROW_NUMBER() OVER (PARTITION BY chatbot_id ORDER BY COUNT(*) DESC, citation->>'interviewId', page) AS ranking
+             FROM chat_messages
+             CROSS JOIN LATERAL jsonb_array_elements(COALESCE(citations, '[]'::jsonb)) AS c(citation)
+             CROSS JOIN LATERAL jsonb_array_elements_text(COALESCE(citation->'pages', '[]'::jsonb)) AS p(page)
+             WHERE role = 'assistant' AND ${where}
+             GROUP BY chatbot_id, citation->>'interviewId', page
+         ) ranked
+         WHERE ranking <= $${params.length}
+         ORDER BY chatbot_id, ranking`,
+        params
+    );
+    return result.rows;
+}
+
+// Questions are mapped onto metadata.csv tags with the same matchers retrieval
+// uses to boost tagged interviews. The search query is used where there is one,
+// so a follow-up like "yes" counts as the topic it referred to. Questions that
+// name no tag are counted under an empty tag.
+async function topicsReport(pool, { where, params }, { top, searchEngine }) {
+    const result = await pool.query(
+        `SELECT chatbot_id, COALESCE(search_query, '') AS query,
+                COUNT(*)::int AS questions,
+                ARRAY_AGG(DISTINCT session_id) FILTER (WHERE session_id IS NOT NULL) AS sessions
+         FROM chat_messages
+         WHERE role = 'assistant' AND ${where}
+         GROUP BY chatbot_id, COALESCE(search_query, '')`,
+        params
+    );
+
+    const byBot = new Map();
+    result.rows.forEach(row => {
+        if (!byBot.has(row.chatbot_id)) byBot.set(row.chatbot_id, new Map());
+        const topics = byBot.get(row.chatbot_id);
+        const { tags } = searchEngine.extractFiltersFromQuestion(row.query);
+
+        (tags.length ? tags : ['']).forEach(tag => {
+            if (!topics.has(tag)) topics.set(tag, { questions: 0, sessions: new Set() });
+            const topic = topics.get(tag);
+            topic.questions += row.questions;
+            (row.sessions || []).forEach(id => topic.sessions.add(id));
+        });
+    });
+
+    return [...byBot.keys()].sort().flatMap(chatbotId => [...byBot.get(chatbotId).entries()]
+        .map(([tag, { questions, sessions }]) => ({ chatbot_id: chatbotId, tag, questions, sessions: sessions.size }))
+        .sort((a, b) => b.questions - a.questions || a.tag.localeCompare(b.tag))
+        .slice(0, top));
+}
+
+const REPORTS = {
+    summary: {
+        load: summaryReport,
+        columns: [
+            'chatbot_id', 'sessions', 'participants', 'turns', 'mean_turns_per_session', 'median_turns_per_session',
+            'max_turns_per_session', 'mean_session_seconds', 'median_session_seconds', 'replies',
+            'no_results_replies', 'no_results_share'
+        ]
+    },
+    sessions: {
+        load: sessionsReport,
+        columns: [
+            'chatbot_id', 'session_id', 'qualtrics_id', 'condition_id', 'started_at', 'ended_at',
+            'duration_seconds', 'turns', 'replies', 'no_results_replies'
+        ]
+    },
+    interviews: {
+        load: interviewsReport,
+        columns: ['chatbot_id', 'interview_id', 'narrator', 'citations', 'replies', 'sessions'],
+        needsNames: true
+    },
+    pages: {
+        load: pagesReport,
+        columns: ['chatbot_id', 'interview_id', 'narrator', 'page', 'citations', 'sessions'],
+        needsNames: true
+    },
+    topics: {
+        load: topicsReport,
+        columns: ['chatbot_id', 'tag', 'questions', 'sessions'],
+        needsIndex: true
+    }
+};
+
+// Sections of the combined JSON report; sessions has its own route because it
+// has a row per conversation
+const OVERVIEW_SECTIONS = ['summary', 'interviews', 'pages', 'topics'];
+
+// Conversation statistics per bot for analysis notebooks, behind the admin
+// token. Every route takes the export filters (?chatbotId=, ?from=, ?to=,
+// ?participants=) and ?top= for the ranked sections.
+function createAnalyticsRouter({ pool, getSearchEngine }) {
+    const router = express.Router();
+
+    const runReport = async (name, filters, top) => {
+        const report = REPORTS[name];
+        const searchEngine = getSearchEngine();
+        if (report.needsIndex && !searchEngine) return null;
+
+        const rows = await report.load(pool, messageFilterClause(filters), { top, searchEngine });
+        if (report.needsNames) {
+            rows.forEach(row => {
+                row.narrator = searchEngine?.metadata.get(row.interview_id)?.name || null;
+            });
+        }
+        return rows;
+    };
+
+    const parseRequest = (req, res) => {
+        const filters = parseMessageFilters(req.query);
+        if (filters.error) {
+            res.status(400).json({ error: filters.error });
+            return null;
+        }
+        const top = Math.min(Math.max(parseInt(req.query.top, 10) || DEFAULT_TOP, 1), MAX_TOP);
+        return { filters, top };
+    };
+
+    // Every section except sessions in one JSON document
+    router.get('/', async (req, res) => {
+        const request = parseRequest(req, res);
+        if (!request) return;
+
+        try {
+            const report = { filters: request.filters, top: request.top };
+            for (const name of OVERVIEW_SECTIONS) {
+                report[name] = await runReport(name, request.filters, request.top);
+            }
+            res.json(report);
+        } catch (error) {
+            console.error('Error computing analytics:', error);
+            res.status(500).json({ error: 'Failed to compute analytics' });
+        }
+    });
+
+    // One section as JSON or CSV (?format=csv)
+    router.get('/:report', async (req, res) => {
+        const name = req.params.report;
+        if (!REPORTS[name]) {
+            return res.status(404).json({ error: `Unknown report; use one of ${Object.keys(REPORTS).join(', ')}` });
+        }
+
+        const format = (req.query.format || 'json').toLowerCase();
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or csv' });
+        }
+
+        const request = parseRequest(req, res);
+        if (!request) return;
+
+        try {
+            const rows = await runReport(name, request.filters, request.top);
+            if (!rows) {
+                res.set('Retry-After', '5');
+                return res.status(503).json({ error: 'The index is still loading' });
+            }
+
+            if (format === 'csv') {
+                const stamp = new Date().toISOString().slice(0, 10);
+                res.set('Content-Disposition', `attachment; filename="analytics-${name}-${stamp}.csv"`);
+                res.type('text/csv').send(toCsv(REPORTS[name].columns, rows));
+            } else {
+                res.json({ report: name, filters: request.filters, rows });
+            }
+        } catch (error) {
+            console.error(`Error computing ${name} analytics:`, error);
+            res.status(500).json({ error: 'Failed to compute analytics' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAnalyticsRouter, NO_RESULTS_PATTERN };
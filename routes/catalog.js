@@ -0,0 +1,84 @@
+const express = require('express');
+const { normalizeText, parseTags, parseInterviewDate } = require('../lib/searchEngine');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Only catalog fields from metadata.csv; transcript text never leaves the server
+function interviewSummary(id, record) {
+    return {
+        id,
+        narrator: record.name || null,
+        date: parseInterviewDate(record.date),
+        dateText: record.date || null,
+        title: record.excerpt_title || null,
+        tags: parseTags(record.tags),
+        webUrl: record.web_url || null,
+        pdfName: record.pdf_name || null
+    };
+}
+
+function pageOptions(query) {
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+    return { limit, offset };
+}
+
+// Read-only browsing of metadata.csv: interviews, tags and interviews per tag
+function createCatalogRouter({ getSearchEngine }) {
+    const router = express.Router();
+
+    const interviews = () => [...getSearchEngine().metadata.entries()]
+        .map(([id, record]) => interviewSummary(id, record))
+        .sort((a, b) => Number(a.id) - Number(b.id) || String(a.id).localeCompare(String(b.id)));
+
+    const hasTag = (interview, tag) => interview.tags.some(candidate => normalizeText(candidate) === normalizeText(tag));
+
+    // ?q= searches narrator, title and tags; ?tag=, ?narrator=, ?dateFrom=, ?dateTo= filter
+    router.get('/interviews', (req, res) => {
+        const { q, tag, narrator } = req.query;
+        const dateFrom = req.query.dateFrom ? parseInterviewDate(req.query.dateFrom) : null;
+        const dateTo = req.query.dateTo ? parseInterviewDate(req.query.dateTo) : null;
+        if ((req.query.dateFrom && !dateFrom) || (req.query.dateTo && !dateTo)) {
+            return res.status(400).json({ error: 'dateFrom and dateTo must be valid dates' });
+        }
+
+        const terms = q ? normalizeText(q).split(/\s+/).filter(Boolean) : [];
+        const matches = interviews().filter(interview => {
+            const text = normalizeText([interview.narrator, interview.title, ...interview.tags].join(' '));
+            return terms.every(term => text.includes(term)) &&
+                (!tag || hasTag(interview, tag)) &&
+                (!narrator || normalizeText(interview.narrator || '').includes(normalizeText(narrator))) &&
+                (!dateFrom || (interview.date && interview.date >= dateFrom)) &&
+                (!dateTo || (interview.date && interview.date <= dateTo));
+        });
+
+        const { limit, offset } = pageOptions(req.query);
+        res.json({ total: matches.length, limit, offset, interviews: matches.slice(offset, offset + limit) });
+    });
+
+    router.get('/interviews/:id', (req, res) => {
+        const record = getSearchEngine().metadata.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Interview not found' });
+        }
+        res.json(interviewSummary(req.params.id, record));
+    });
+
+    router.get('/tags', (req, res) => {
+        const tags = (getSearchEngine().tagCatalog || []).map(({ tag, count }) => ({ tag, count }));
+        res.json({ total: tags.length, tags });
+    });
+
+    router.get('/tags/:tag/interviews', (req, res) => {
+        const matches = interviews().filter(interview => hasTag(interview, req.params.tag));
+        if (!matches.length) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        res.json({ tag: matches[0].tags.find(tag => normalizeText(tag) === normalizeText(req.params.tag)), total: matches.length, interviews: matches });
+    });
+
+    return router;
+}
+
+module.exports = { createCatalogRouter, interviewSummary };
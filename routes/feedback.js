@@ -0,0 +1,89 @@
+const express = require('express');
+
+const MAX_COMMENT_LENGTH = 2000;
+const RATINGS = { up: 1, down: -1 };
+const PAGE_FEEDBACK = ['helpful', 'wrong'];
+
+// Returns the normalized feedback, or { error } for an invalid body
+function parseFeedback(body = {}) {
+    const messageId = Number(body.messageId);
+    if (!Number.isInteger(messageId) || messageId <= 0) {
+        return { error: 'messageId is required' };
+    }
+    if (!body.sessionId) {
+        return { error: 'sessionId is required' };
+    }
+
+    const hasRating = body.rating !== undefined && body.rating !== null;
+    if (hasRating && (typeof body.rating !== 'string' || !Object.hasOwn(RATINGS, body.rating))) {
+        return { error: 'rating must be "up" or "down"' };
+    }
+    const rating = hasRating ? RATINGS[body.rating] : null;
+
+    const pageFeedback = body.pageFeedback || null;
+    if (pageFeedback && !PAGE_FEEDBACK.includes(pageFeedback)) {
+        return { error: 'pageFeedback must be "helpful" or "wrong"' };
+    }
+
+    const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+    if (comment.length > MAX_COMMENT_LENGTH) {
+        return { error: `comment must be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    if (rating === null && !pageFeedback && !comment) {
+        return { error: 'Feedback needs a rating, pageFeedback or comment' };
+    }
+
+    return {
+        messageId,
+        sessionId: String(body.sessionId),
+        qualtricsId: body.qualtricsId || 'unknown',
+        rating,
+        pageFeedback,
+        comment: comment || null
+    };
+}
+
+function createFeedbackRouter({ pool }) {
+    const router = express.Router();
+
+    // Participants rate a bot reply from their own session. Sending feedback
+    // again for the same reply replaces it.
+    router.post('/', async (req, res) => {
+        const feedback = parseFeedback(req.body);
+        if (feedback.error) {
+            return res.status(400).json({ error: feedback.error });
+        }
+
+        try {
+            const message = await pool.query(
+                "SELECT id FROM chat_messages WHERE id = $1 AND session_id = $2 AND role = 'assistant'",
+                [feedback.messageId, feedback.sessionId]
+            );
+            if (!message.rows.length) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+
+            const result = await pool.query(
+                `INSERT INTO message_feedback (message_id, qualtrics_id, session_id, rating, page_feedback, comment)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 ON CONFLICT (message_id) DO UPDATE SET
+                     rating = COALESCE(EXCLUDED.rating, message_feedback.rating),
+                     page_feedback = COALESCE(EXCLUDED.page_feedback, message_feedback.page_feedback),
+                     comment = COALESCE(EXCLUDED.comment, message_feedback.comment),
+                     updated_at = NOW()
+                 RETURNING id`,
+                [feedback.messageId, feedback.qualtricsId, feedback.sessionId, feedback.rating, feedback.pageFeedback, feedback.comment]
+            );
+
+            res.json({ status: 'ok', feedbackId: result.rows[0]?.id ?? null });
+        } catch (error) {
+            console.error('Error saving feedback:', error);
+            res.status(500).json({ error: 'Failed to save feedback' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createFeedbackRouter, parseFeedback };
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const dotenv = require('dotenv');
+const { AISearchEngine, searchOptionsFromEnv } = require('../lib/searchEngine');
+const { createProvider } = require('../lib/providers');
+const { ResponseGuardrail, parseCitations } = require('../lib/guardrail');
+const { QueryRewriter } = require('../lib/queryRewriter');
+const { ChatService } = require('../lib/chatService');
+const { SessionStore } = require('../lib/sessionStore');
+const { TaskEngine } = require('../lib/taskEngine');
+const { loadBotProfiles } = require('../lib/botProfiles');
+const { expandPages } = require('../lib/citations');
+
+// Load environment variables
+dotenv.config();
+
+// Golden file: [{ id, question, filters?, expected: [{ interviewId, pages? }] }]
+function loadGoldenSet(filePath) {
+    const cases = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(cases)) {
+        throw new Error(`Golden file ${filePath} must contain a list of questions`);
+    }
+
+    return cases.map((item, index) => {
+        if (!item.question || !Array.isArray(item.expected) || !item.expected.length) {
+            throw new Error(`Golden question ${item.id || index + 1} needs a question and expected interviews`);
+        }
+        return {
+            id: item.id || String(index + 1),
+            question: item.question,
+            filters: item.filters || {},
+            expected: item.expected.map(expected => ({
+                interviewId: String(expected.interviewId),
+                pages: expected.pages ? expandPages(expected.pages.map(String)) : null
+            }))
+        };
+    });
+}
+
+const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Share of the expected pages the retrieved pages cover, and their Jaccard overlap
+function pageOverlap(expectedPages, retrievedPages) {
+    const expected = new Set(expectedPages);
+    const retrieved = new Set(retrievedPages);
+    const shared = [...expected].filter(page => retrieved.has(page)).length;
+    const union = new Set([...expected, ...retrieved]).size;
+    return {
+        recall: expected.size ? shared / expected.size : null,
+        jaccard: union ? shared / union : null
+    };
+}
+
+async function evaluateRetrieval(searchEngine, cases, { ks = [1, 2, 5] } = {}) {
+    const maxK = Math.max(...ks);
+    const settings = searchEngine.searchOptions;
+    // Ask for enough documents that recall@k is measured on k real candidates
+    const options = {
+        maxDocuments: maxK,
+        maxChunks: Math.max(settings.maxChunks, maxK * settings.maxChunksPerDocument)
+    };
+
+    const results = [];
+    for (const item of cases) {
+        const context = await searchEngine.findRelevantContext(item.question, item.filters, options);
+        const retrieved = context.map(entry => ({
+            interviewId: String(entry.interview.id),
+            pages: expandPages(entry.interview.pages.map(String)),
+            score: round(entry.interview.relevanceScore)
+        }));
+        const rankOf = id => retrieved.findIndex(entry => entry.interviewId === id) + 1;
+        const expectedIds = item.expected.map(expected => expected.interviewId);
+
+        const recall = {};
+        ks.forEach(k => {
+            const found = expectedIds.filter(id => rankOf(id) && rankOf(id) <= k).length;
+            recall[`@${k}`] = round(found / expectedIds.length);
+        });
+
+        const firstRank = Math.min(...expectedIds.map(rankOf).filter(Boolean));
+        const pages = item.expected
+            .filter(expected => expected.pages)
+            .map(expected => {
+                const match = retrieved.find(entry => entry.interviewId === expected.interviewId);
+                const overlap = pageOverlap(expected.pages, match ? match.pages : []);
+                return { interviewId: expected.interviewId, recall: round(overlap.recall), jaccard: round(overlap.jaccard) };
+            });
+
+        results.push({
+            id: item.id,
+            question: item.question,
+            recall,
+            reciprocalRank: Number.isFinite(firstRank) ? round(1 / firstRank) : 0,
+            pageRecall: pages.length ? round(mean(pages.map(page => page.recall))) : null,
+            pageJaccard: pages.length ? round(mean(pages.map(page => page.jaccard))) : null,
+            expected: item.expected.map(expected => ({ interviewId: expected.interviewId, rank: rankOf(expected.interviewId) || null })),
+            retrieved
+        });
+    }
+
+    const summary = { questions: results.length, recall: {} };
+    ks.forEach(k => {
+        summary.recall[`@${k}`] = round(mean(results.map(result => result.recall[`@${k}`])));
+    });
+    summary.mrr = round(mean(results.map(result => result.reciprocalRank)));
+    summary.pageRecall = round(mean(results.map(result => result.pageRecall).filter(value => value !== null)));
+    summary.pageJaccard = round(mean(results.map(result => result.pageJaccard).filter(value => value !== null)));
+
+    return { summary, results };
+}
+
+// Runs each question through the full chat path of one bot profile. Nothing
+// is written to the study database: the pool is an in-memory stand-in.
+async function evaluateChat({ provider, searchEngine, profile }, cases) {
+    const pool = { query: async () => ({ rows: [] }) };
+    const service = new ChatService({
+        pool,
+        provider,
+        searchEngine,
+        queryRewriter: new QueryRewriter(provider),
+        guardrail: profile.guardrail.enabled ? new ResponseGuardrail(profile.guardrail.rules) : null,
+        taskEngine: profile.tasks.length ? new TaskEngine(profile.tasks, { provider }) : null,
+        sessionStore: new SessionStore(pool, { chatbotId: profile.id }),
+        profile
+    });
+    // Bots with a guardrail are scored exactly as it checks them live; the others
+    // by the default guiding rules, with the same allowed words
+    const scorer = new ResponseGuardrail();
+    const score = (turn, response) => {
+        const allowedWords = service.allowedWords(turn);
+        return service.guardrail
+            ? service.checkReply(turn, response, allowedWords)
+            : scorer.validate(response, turn.citationContext, { allowedWords });
+    };
+
+    const results = [];
+    for (const item of cases) {
+        const turn = await service.prepareTurn({
+            question: item.question,
+            sessionId: `evaluate-${item.id}`,
+            qualtricsId: 'evaluate',
+            filters: item.filters
+        });
+        const reply = await service.generateReply(turn);
+        const check = score(turn, reply.response);
+        const cited = [...new Set(parseCitations(reply.response).map(citation => citation.interviewId).filter(Boolean))];
+        const expectedIds = item.expected.map(expected => expected.interviewId);
+
+        results.push({
+            id: item.id,
+            question: item.question,
+            response: reply.response,
+            guardrailAction: reply.guardrail.action,
+            kind: check.kind,
+            formatCompliant: !check.violations.some(violation => ['missing_follow_up', 'extra_content', 'unexpected_format', 'detailed_topic'].includes(violation.type)),
+            leak: check.violations.some(violation => ['verbatim_overlap', 'paraphrase_overlap'].includes(violation.type)),
+            verbatimNgrams: check.metrics.verbatimNgrams,
+            sharedContentWords: check.metrics.sharedContentWords,
+            violations: check.violations.map(violation => violation.type),
+            citedInterviews: cited,
+            citedExpected: expectedIds.filter(id => cited.includes(id))
+        });
+    }
+
+    const share = predicate => round(mean(results.map(result => (predicate(result) ? 1 : 0))));
+    return {
+        summary: {
+            bot: profile.id,
+            questions: results.length,
+            formatCompliance: share(result => result.formatCompliant),
+            leakRate: share(result => result.leak),
+            guardrailInterventions: share(result => !['passed', 'disabled', 'task'].includes(result.guardrailAction)),
+            citesExpected: share(result => result.citedExpected.length > 0)
+        },
+        results
+    };
+}
+
+function formatSummary(report) {
+    const lines = [`Retrieval (${report.retrieval.summary.questions} questions)`];
+    Object.entries(report.retrieval.summary.recall).forEach(([k, value]) => lines.push(`  recall${k}: ${value}`));
+    lines.push(`  MRR: ${report.retrieval.summary.mrr}`);
+    lines.push(`  page recall: ${report.retrieval.summary.pageRecall}  page Jaccard: ${report.retrieval.summary.pageJaccard}`);
+
+    if (report.chat) {
+        const chat = report.chat.summary;
+        lines.push(`Chat (${chat.bot})`);
+        lines.push(`  format compliance: ${chat.formatCompliance}`);
+        lines.push(`  leak rate: ${chat.leakRate}`);
+        lines.push(`  guardrail interventions: ${chat.guardrailInterventions}`);
+        lines.push(`  cites an expected interview: ${chat.citesExpected}`);
+    }
+    return lines.join('\n');
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            golden: { type: 'string', default: path.join(__dirname, '..', 'eval', 'golden.json') },
+            out: { type: 'string', default: path.join(__dirname, '..', 'eval', 'report.json') },
+            k: { type: 'string', default: '1,2,5' },
+            chat: { type: 'boolean', default: false },
+            bot: { type: 'string', default: process.env.DEFAULT_BOT_ID || 'guiding-bot' }
+        }
+    });
+
+    const ks = values.k.split(',').map(Number).filter(k => Number.isInteger(k) && k > 0);
+    const cases = loadGoldenSet(values.golden);
+
+    const provider = createProvider();
+    const searchEngine = new AISearchEngine(provider, {
+        indexDir: process.env.INDEX_DIR,
+        ...searchOptionsFromEnv()
+    });
+    await searchEngine.initialize();
+
+    // Settings first, so a diff between two reports shows what changed
+    const report = {
+        golden: path.relative(process.cwd(), values.golden),
+        index: searchEngine.vectorIndex.manifest?.version || null,
+        provider: provider.name,
+        searchOptions: searchEngine.searchOptions,
+        retrieval: await evaluateRetrieval(searchEngine, cases, { ks })
+    };
+
+    if (values.chat) {
+        const profile = loadBotProfiles(process.env.BOTS_DIR).get(values.bot);
+        if (!profile) throw new Error(`Unknown bot profile: ${values.bot}`);
+        report.chat = await evaluateChat({ provider, searchEngine, profile }, cases);
+    }
+
+    fs.mkdirSync(path.dirname(values.out), { recursive: true });
+    fs.writeFileSync(values.out, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(formatSummary(report));
+    console.log(`Report written to ${values.out}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Evaluation failed:', error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { loadGoldenSet, evaluateRetrieval, evaluateChat, pageOverlap };
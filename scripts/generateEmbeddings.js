@@ -1,176 +1,320 @@
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
 const dotenv = require('dotenv');
-const { encode } = require('gpt-3-encoder');
-const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+const { writeVectorIndex } = require('../lib/vectorIndex');
+const { EmbeddingCache, hashContent } = require('../lib/embeddingCache');
+const { withRetry, isRetryable } = require('../lib/retry');
+const { chunkDocuments } = require('../lib/chunker');
+const { applyPageLabels } = require('../lib/pageLabels');
+const { createProvider } = require('../lib/providers');
+const { loadMetadata, normalizePdfName } = require('../lib/metadata');
+const { buildIngestionReport } = require('../lib/ingestionReport');
+
+// Bump when page text extraction changes so cached page text is re-read
+const EXTRACTION_VERSION = 3;
 
 // Load environment variables
 dotenv.config();
 
 class DocumentProcessor {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
+    // allowMissingPdfs and allowEmptyPages downgrade those checks to warnings;
+    // checkOnly validates the sources and writes the report without embedding
+    constructor({
+        provider = createProvider(),
+        indexDir = process.env.INDEX_DIR,
+        pdfDir = process.env.PDF_DIR,
+        metadataPath = process.env.METADATA_PATH,
+        allowPartial = false,
+        allowMissingPdfs = false,
+        allowEmptyPages = false,
+        checkOnly = false,
+        maxTokens = 500,
+        overlapTokens = 50
+    } = {}) {
+        this.provider = provider;
+        this.indexDir = indexDir || path.join(__dirname, '..', 'index');
+        this.pdfDir = pdfDir || path.join(__dirname, '..', '..', 'frontend', 'assets', 'pdfs');
+        this.metadataPath = metadataPath || path.join(__dirname, '..', 'metadata.csv');
+        this.cacheDir = path.join(this.indexDir, 'cache');
+        this.embeddingCache = new EmbeddingCache(path.join(this.cacheDir, 'embeddings.jsonl'));
+        this.pageCachePath = path.join(this.cacheDir, 'pages.json');
+        this.missingReportPath = path.join(this.indexDir, 'missing-chunks.json');
+        this.ingestReportPath = path.join(this.indexDir, 'ingest-report.json');
+        this.allowPartial = allowPartial;
+        this.validationOptions = { allowMissingPdfs, allowEmptyPages };
+        this.checkOnly = checkOnly;
+        this.chunkOptions = { maxTokens, overlapTokens };
     }
 
+    // Returns the ingestion report, or null if processing failed outright
     async processDocuments() {
         try {
-            // 1. Read documents from the frontend PDF directory
-            const docs = await this.readDocuments();
-            console.log(`Found ${docs.length} pages across all documents`);
+            // 1. Read the metadata and the PDFs it describes
+            const metadata = loadMetadata(this.metadataPath);
+            console.log(`Loaded ${metadata.records.size} metadata records from ${this.metadataPath}`);
+
+            const { files, unreadable, pages: docs } = await this.readDocuments();
+            console.log(`Found ${docs.length} pages across ${files.length} documents in ${this.pdfDir}`);
             
-            // 2. Split documents into chunks
-            const chunks = await this.splitIntoChunks(docs);
+            // 2. Split documents into chunks along speaker turns, each linked to its interview
+            const chunks = await this.splitIntoChunks(docs, this.chunkOptions);
+            chunks.forEach(chunk => {
+                chunk.interviewId = metadata.byPdfName.get(normalizePdfName(chunk.source)) || null;
+            });
             console.log(`Created ${chunks.length} chunks`);
 
-            // 3. Generate embeddings for each chunk
-            const embeddings = await this.generateEmbeddings(chunks);
+            // 3. Reconcile PDFs, metadata and chunks before anything is embedded
+            const report = buildIngestionReport({ files, unreadable, pages: docs, chunks, metadata, ...this.validationOptions });
+            this.writeIngestReport(report);
+
+            if (!report.ok) {
+                process.exitCode = 1;
+                if (!this.checkOnly) {
+                    console.error('Index not written. Fix the sources above, or pass --allow-missing-pdfs / --allow-empty-pages.');
+                }
+                return report;
+            }
+            if (this.checkOnly) return report;
+
+            // 4. Generate embeddings for each chunk, reusing cached ones
+            const { embeddings, missing } = await this.generateEmbeddings(chunks);
+
+            if (missing.length) {
+                this.reportMissing(missing);
+                process.exitCode = 1;
+                if (!this.allowPartial) {
+                    console.error('Index not written. Re-run to retry the missing chunks, or pass --allow-partial.');
+                    return report;
+                }
+            } else {
+                fs.rmSync(this.missingReportPath, { force: true });
+            }
             
-            // 4. Save embeddings and chunks
+            // 5. Save embeddings and chunks
             await this.saveEmbeddings(embeddings);
+
+            // 6. Drop cached embeddings for chunks that no longer exist
+            this.embeddingCache.compact(chunks.map(chunk => this.chunkHash(chunk)));
             
             console.log('Embedding generation complete!');
+            return report;
         } catch (error) {
             console.error('Error processing documents:', error);
+            process.exitCode = 1;
+            return null;
+        }
+    }
+
+    writeIngestReport(report) {
+        const stored = {
+            generatedAt: new Date().toISOString(),
+            pdfDir: this.pdfDir,
+            metadataPath: this.metadataPath,
+            ...report
+        };
+        fs.mkdirSync(this.indexDir, { recursive: true });
+        fs.writeFileSync(this.ingestReportPath, JSON.stringify(stored, null, 2));
+
+        report.chunksPerInterview.forEach(item => {
+            console.log(`  ${item.interviewId || '?'} ${item.narrator || item.pdfName}: ${item.pages} pages, ${item.chunks} chunks`);
+        });
+        report.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+        report.errors.forEach(error => console.error(`Error: ${error}`));
+        console.log(`Ingestion report written to ${this.ingestReportPath}`);
+    }
+
+    loadPageCache() {
+        try {
+            return JSON.parse(fs.readFileSync(this.pageCachePath, 'utf8'));
+        } catch (error) {
+            return {};
         }
     }
 
+    savePageCache(cache) {
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+        fs.writeFileSync(`${this.pageCachePath}.tmp`, JSON.stringify(cache));
+        fs.renameSync(`${this.pageCachePath}.tmp`, this.pageCachePath);
+    }
+
     async readDocuments() {
-        const pdfPath = path.join(__dirname, '..', '..', 'frontend', 'assets', 'pdfs');
+        const pdfPath = this.pdfDir;
         const files = fs.readdirSync(pdfPath).filter(file => file.endsWith('.pdf'));
+        // pdfjs-dist 4 only ships ES modules
+        const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+        const pageCache = this.loadPageCache();
+        const nextPageCache = {};
         const documents = [];
+        const unreadable = [];
 
         for (const file of files) {
             const filePath = path.join(pdfPath, file);
-            console.log(`Processing ${file}...`);
             
             try {
                 // Read the PDF file
-                const data = new Uint8Array(fs.readFileSync(filePath));
+                const buffer = fs.readFileSync(filePath);
+                const fileHash = hashContent(EXTRACTION_VERSION, buffer);
+
+                // Unchanged PDFs reuse the text extracted on a previous run
+                if (pageCache[file]?.hash === fileHash) {
+                    nextPageCache[file] = pageCache[file];
+                    documents.push(...pageCache[file].pages);
+                    console.log(`Unchanged ${file}: ${pageCache[file].pages.length} pages (cached)`);
+                    continue;
+                }
+
+                console.log(`Processing ${file}...`);
+                const data = new Uint8Array(buffer);
                 const doc = await pdfjsLib.getDocument(data).promise;
+                const pages = [];
                 
                 // Process each page
                 for (let pageNum = 1; pageNum <= doc.numPages; pageNum++) {
                     const page = await doc.getPage(pageNum);
                     const content = await page.getTextContent();
-                    const text = content.items.map(item => item.str).join(' ');
+                    // Keep pdfjs line breaks so speaker labels stay at the start of a line
+                    const text = content.items
+                        .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+                        .join('')
+                        .replace(/[ \t]+/g, ' ');
                     
-                    documents.push({
+                    pages.push({
                         text: text.trim(),
                         title: file,
                         page: pageNum
                     });
                 }
 
+                // Record the page numbers printed on the transcript, which is what
+                // participants see, alongside the PDF page index
+                const pdfLabels = await doc.getPageLabels().catch(() => null);
+                const labeledPages = applyPageLabels(pages, pdfLabels);
+
+                nextPageCache[file] = { hash: fileHash, pages: labeledPages };
+                documents.push(...labeledPages);
                 console.log(`Processed ${file}: ${doc.numPages} pages`);
             } catch (error) {
                 console.error(`Error processing ${file}:`, error);
+                unreadable.push({ file, error: error.message });
             }
         }
 
-        return documents;
+        this.savePageCache(nextPageCache);
+        return { files, unreadable, pages: documents };
     }
 
-    async splitIntoChunks(documents, maxTokens = 500) {
-        const chunks = [];
-
-        for (const doc of documents) {
-            let currentChunk = '';
-            const paragraphs = doc.text.split(/\n\s*\n/); // Split by double newline
-
-            for (const paragraph of paragraphs) {
-                const trimmedParagraph = paragraph.trim();
-                if (!trimmedParagraph) continue;
-
-                const potentialChunk = currentChunk + '\n' + trimmedParagraph;
-                const tokenCount = encode(potentialChunk).length;
+    async splitIntoChunks(documents, { maxTokens = 500, overlapTokens = 50 } = {}) {
+        return chunkDocuments(documents, { maxTokens, overlapTokens });
+    }
 
-                if (tokenCount > maxTokens && currentChunk) {
-                    chunks.push({
-                        text: currentChunk.trim(),
-                        source: doc.title,
-                        page: doc.page,
-                        tokens: encode(currentChunk).length
-                    });
-                    currentChunk = trimmedParagraph;
-                } else {
-                    currentChunk = potentialChunk;
-                }
-            }
+    chunkHash(chunk) {
+        return hashContent(this.provider.embeddingModel, chunk.text);
+    }
 
-            if (currentChunk.trim()) {
-                chunks.push({
-                    text: currentChunk.trim(),
-                    source: doc.title,
-                    page: doc.page,
-                    tokens: encode(currentChunk).length
-                });
+    async embedBatch(batch) {
+        const embeddings = await withRetry(() => this.provider.embed(batch.map(chunk => chunk.text)), {
+            onRetry: (error, attempt, delay) => {
+                console.warn(`Embedding request failed (${error.message}), retry ${attempt} in ${Math.round(delay)}ms`);
             }
-        }
+        });
 
-        return chunks;
+        // Checkpoint each result straight away so a crash loses at most one batch
+        embeddings.forEach((embedding, index) => {
+            this.embeddingCache.add(this.chunkHash(batch[index]), embedding);
+        });
     }
 
     async generateEmbeddings(chunks) {
-        const embeddings = [];
         const batchSize = 20;
+        this.embeddingCache.load();
 
-        for (let i = 0; i < chunks.length; i += batchSize) {
-            const batch = chunks.slice(i, i + batchSize);
-            console.log(`Processing batch ${i / batchSize + 1} of ${Math.ceil(chunks.length / batchSize)}`);
+        const pending = chunks.filter(chunk => !this.embeddingCache.has(this.chunkHash(chunk)));
+        console.log(`${chunks.length - pending.length} chunks cached, ${pending.length} to embed`);
 
-            const batchPromises = batch.map(async chunk => {
-                try {
-                    const response = await this.openai.embeddings.create({
-                        model: "text-embedding-3-small",
-                        input: chunk.text,
-                    });
-                    return {
-                        embedding: response.data[0].embedding,
-                        metadata: {
-                            text: chunk.text,
-                            source: chunk.source,
-                            page: chunk.page,
-                            tokens: chunk.tokens
-                        }
-                    };
-                } catch (error) {
-                    console.error(`Error generating embedding for chunk: ${error.message}`);
-                    return null;
+        const failures = new Map();
+
+        for (let i = 0; i < pending.length; i += batchSize) {
+            const batch = pending.slice(i, i + batchSize);
+            console.log(`Processing batch ${i / batchSize + 1} of ${Math.ceil(pending.length / batchSize)}`);
+
+            try {
+                await this.embedBatch(batch);
+            } catch (error) {
+                console.error(`Error generating embeddings for batch: ${error.message}`);
+                if (isRetryable(error)) {
+                    batch.forEach(chunk => failures.set(this.chunkHash(chunk), error.message));
+                    continue;
                 }
-            });
 
-            const batchResults = await Promise.all(batchPromises);
-            embeddings.push(...batchResults.filter(res => res !== null));
-            
-            if (i + batchSize < chunks.length) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                // The request itself was rejected; try one chunk at a time so a
+                // single bad chunk doesn't sink the whole batch
+                for (const chunk of batch) {
+                    try {
+                        await this.embedBatch([chunk]);
+                    } catch (chunkError) {
+                        console.error(`Error generating embedding for ${chunk.source} page ${chunk.page}: ${chunkError.message}`);
+                        failures.set(this.chunkHash(chunk), chunkError.message);
+                    }
+                }
             }
         }
 
-        return embeddings;
+        const embeddings = [];
+        const missing = [];
+
+        chunks.forEach(chunk => {
+            const hash = this.chunkHash(chunk);
+            const embedding = this.embeddingCache.get(hash);
+            if (!embedding) {
+                missing.push({
+                    source: chunk.source,
+                    page: chunk.page,
+                    tokens: chunk.tokens,
+                    error: failures.get(hash) || 'No embedding returned'
+                });
+                return;
+            }
+
+            embeddings.push({ embedding, metadata: chunk });
+        });
+
+        return { embeddings, missing };
+    }
+
+    reportMissing(missing) {
+        console.error(`${missing.length} chunks are still missing embeddings:`);
+        missing.forEach(chunk => {
+            console.error(`  ${chunk.source} page ${chunk.page}: ${chunk.error}`);
+        });
+
+        fs.mkdirSync(this.indexDir, { recursive: true });
+        fs.writeFileSync(this.missingReportPath, JSON.stringify(missing, null, 2));
+        console.error(`Missing chunk report written to ${this.missingReportPath}`);
     }
 
     async saveEmbeddings(embeddings) {
-        const outputPath = path.join(__dirname, '..', 'embeddings.json');
+        const outputPath = this.indexDir;
 
-        const data = {
+        const manifest = writeVectorIndex(outputPath, {
+            model: this.provider.embeddingModel,
             embeddings: embeddings.map(e => e.embedding),
-            texts: embeddings.map(e => e.metadata.text),
-            metadata: embeddings.map(e => ({
-                source: e.metadata.source,
-                page: e.metadata.page,
-                tokens: e.metadata.tokens
-            }))
-        };
+            chunks: embeddings.map(e => e.metadata)
+        });
 
-        fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
-        console.log(`Saved embeddings to ${outputPath}`);
+        console.log(`Saved ${manifest.count} embeddings to ${outputPath} (version ${manifest.version})`);
     }
 }
 
-// Run the embedding generation
-const processor = new DocumentProcessor();
-processor.processDocuments();
\ No newline at end of file
+// Kept for `npm run embeddings`; scripts/ingest.js takes the same options as flags
+if (require.main === module) {
+    const processor = new DocumentProcessor({
+        allowPartial: process.argv.includes('--allow-partial'),
+        allowMissingPdfs: process.argv.includes('--allow-missing-pdfs'),
+        allowEmptyPages: process.argv.includes('--allow-empty-pages'),
+        maxTokens: Number(process.env.CHUNK_MAX_TOKENS) || 500,
+        overlapTokens: Number.isNaN(Number(process.env.CHUNK_OVERLAP_TOKENS)) ? 50 : Number(process.env.CHUNK_OVERLAP_TOKENS)
+    });
+    processor.processDocuments();
+}
+
+module.exports = { DocumentProcessor };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const dotenv = require('dotenv');
+const { DocumentProcessor } = require('./generateEmbeddings');
+const { VectorIndex } = require('../lib/vectorIndex');
+const { loadMetadata } = require('../lib/metadata');
+const { reconcileIndex } = require('../lib/ingestionReport');
+
+dotenv.config();
+
+const USAGE = `Usage: npm run ingest -- [options]
+
+  --pdf-dir <dir>        Interview PDFs (PDF_DIR, default ../frontend/assets/pdfs)
+  --metadata <file>      metadata.csv (METADATA_PATH, default ./metadata.csv)
+  --index-dir <dir>      Where the index is written (INDEX_DIR, default ./index)
+  --check                Validate the sources and the existing index without embedding
+  --allow-missing-pdfs   Build even if some metadata rows have no PDF
+  --allow-empty-pages    Build even if some pages have no extractable text
+  --allow-partial        Write the index even if some chunks failed to embed
+  --max-tokens <n>       Chunk size (CHUNK_MAX_TOKENS, default 500)
+  --overlap-tokens <n>   Chunk overlap (CHUNK_OVERLAP_TOKENS, default 50)`;
+
+// The index already on disk, checked against the current metadata.csv
+function checkExistingIndex(indexDir, metadataPath) {
+    if (!VectorIndex.exists(indexDir)) {
+        console.log(`No index in ${indexDir} yet`);
+        return null;
+    }
+
+    const index = VectorIndex.load(indexDir);
+    const result = reconcileIndex(index.chunks, loadMetadata(metadataPath));
+    console.log(`Index ${index.manifest.version}: ${result.chunks} chunks`);
+    if (result.notIndexed.length) {
+        console.warn(`Warning: interviews with no indexed chunks: ${result.notIndexed.join(', ')}`);
+    }
+    result.errors.forEach(error => console.error(`Error: ${error}`));
+    return result;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            'pdf-dir': { type: 'string', default: process.env.PDF_DIR },
+            metadata: { type: 'string', default: process.env.METADATA_PATH },
+            'index-dir': { type: 'string', default: process.env.INDEX_DIR },
+            check: { type: 'boolean', default: false },
+            'allow-missing-pdfs': { type: 'boolean', default: false },
+            'allow-empty-pages': { type: 'boolean', default: false },
+            'allow-partial': { type: 'boolean', default: false },
+            'max-tokens': { type: 'string', default: process.env.CHUNK_MAX_TOKENS || '500' },
+            'overlap-tokens': { type: 'string', default: process.env.CHUNK_OVERLAP_TOKENS || '50' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const maxTokens = Number(values['max-tokens']);
+    const overlapTokens = Number(values['overlap-tokens']);
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0 || !Number.isInteger(overlapTokens) || overlapTokens < 0) {
+        throw new Error('--max-tokens must be a positive integer and --overlap-tokens a non-negative integer');
+    }
+
+    const processor = new DocumentProcessor({
+        // A check never embeds, so it runs without an API key
+        ...(values.check ? { provider: null } : {}),
+        pdfDir: values['pdf-dir'] && path.resolve(values['pdf-dir']),
+        metadataPath: values.metadata && path.resolve(values.metadata),
+        indexDir: values['index-dir'] && path.resolve(values['index-dir']),
+        checkOnly: values.check,
+        allowMissingPdfs: values['allow-missing-pdfs'],
+        allowEmptyPages: values['allow-empty-pages'],
+        allowPartial: values['allow-partial'],
+        maxTokens,
+        overlapTokens
+    });
+
+    const report = await processor.processDocuments();
+    if (!report) return;
+
+    if (values.check) {
+        const indexCheck = checkExistingIndex(processor.indexDir, processor.metadataPath);
+        if (!report.ok || (indexCheck && !indexCheck.ok)) process.exitCode = 1;
+        console.log(process.exitCode ? 'Check failed' : 'Check passed');
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Ingestion failed:', error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { checkExistingIndex };
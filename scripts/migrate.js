@@ -0,0 +1,27 @@
+const dotenv = require('dotenv');
+const { Pool } = require('pg');
+const { migrate } = require('../lib/migrate');
+
+// Load environment variables
+dotenv.config();
+
+async function main() {
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+
+    try {
+        const applied = await migrate(pool);
+        console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
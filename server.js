@@ -4,435 +4,574 @@ const corsOptions = {
     origin: 'https://chatbot11guidingversion.netlify.app',
     methods: ['GET', 'POST', 'OPTIONS'],
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Accept', 'Origin'],
-    exposedHeaders: ['Content-Type'],
+    allowedHeaders: ['Content-Type', 'Accept', 'Origin', 'Cache-Control', 'Last-Event-ID', 'Authorization'],
+    exposedHeaders: ['Content-Type', 'Content-Disposition'],
     maxAge: 600,
     optionsSuccessStatus: 204
 };
 const dotenv = require('dotenv');
-const OpenAI = require('openai');
-const path = require('path');
-const fs = require('fs');
-const csv = require('csv-parse/sync');
 const { Pool } = require('pg');
+const { AISearchEngine, searchOptionsFromEnv, parseInterviewDate } = require('./lib/searchEngine');
+const { createProvider } = require('./lib/providers');
+const { ResponseGuardrail } = require('./lib/guardrail');
+const { TaskEngine } = require('./lib/taskEngine');
+const { QueryRewriter } = require('./lib/queryRewriter');
+const { ChatService } = require('./lib/chatService');
+const { SessionStore } = require('./lib/sessionStore');
+const { migrate } = require('./lib/migrate');
+const { requireAdmin } = require('./lib/adminAuth');
+const { createAdminRouter } = require('./routes/admin');
+const { createFeedbackRouter } = require('./routes/feedback');
+const { createCatalogRouter } = require('./routes/catalog');
+const { createAnalyticsRouter } = require('./routes/analytics');
+const { loadBotProfiles, DEFAULT_BOT_ID } = require('./lib/botProfiles');
+const { ConditionAssigner, loadExperiment, normalizeExperiment } = require('./lib/conditions');
+const { IndexManager } = require('./lib/indexManager');
+const { RateLimiter } = require('./lib/rateLimiter');
+const { UsageTracker } = require('./lib/usageTracker');
+const { withRetry } = require('./lib/retry');
+const { randomUUID } = require('crypto');
 
 // Load environment variables
 dotenv.config();
 
 // PostgreSQL configuration
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: {
-        rejectUnauthorized: false
-    }
-});
-
-// Create database table if it doesn't exist
-pool.query(`
-    CREATE TABLE IF NOT EXISTS chat_messages (
-        id SERIAL PRIMARY KEY,
-        qualtrics_id VARCHAR(255),
-        session_id VARCHAR(255),
-        role VARCHAR(10),
-        content TEXT,
-        chatbot_id VARCHAR(50),
-        timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
-    );
-`).catch(console.error);
-
-// Define chatbot ID - different from the direct answers bot
-const CHATBOT_ID = 'guiding-bot';
-
-class AISearchEngine {
-    constructor(openai) {
-        this.openai = openai;
-        this.embeddings = [];
-        this.texts = [];
-        this.metadata = new Map();
-        this.chunkMetadata = [];
+function createPool() {
+    return new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+}
+
+const MESSAGE_COLUMNS = ['id', 'qualtrics_id', 'session_id', 'role', 'content', 'chatbot_id', 'timestamp'];
+const PROVENANCE_COLUMNS = [
+    'search_query', 'retrieval', 'model', 'temperature', 'prompt_tokens', 'completion_tokens',
+    'total_tokens', 'latency_ms', 'guardrail', 'citations', 'condition_id'
+];
+
+const MAX_QUESTION_LENGTH = Number(process.env.MAX_QUESTION_LENGTH) || 1000;
+const MAX_ID_LENGTH = 255;
+
+// Request limits per window: RATE_LIMIT_WINDOW_SECONDS and RATE_LIMIT_PER_*
+// (0 turns a limit off). The IP limit is off by default unless TRUST_PROXY is
+// set: behind a proxy that isn't trusted every participant has its address.
+function rateLimitsFromEnv(env = process.env) {
+    const limit = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value) || 0);
+    return {
+        windowMs: (Number(env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000,
+        limits: {
+            participant: limit(env.RATE_LIMIT_PER_PARTICIPANT, 10),
+            session: limit(env.RATE_LIMIT_PER_SESSION, 10),
+            ip: limit(env.RATE_LIMIT_PER_IP, trustProxyFromEnv(env.TRUST_PROXY) ? 30 : 0)
+        }
+    };
+}
+
+// Express "trust proxy" setting from TRUST_PROXY; false when it isn't set
+function trustProxyFromEnv(value = '') {
+    const setting = value.trim().toLowerCase();
+    if (!setting || setting === 'false') return false;
+    if (setting === 'true') return true;
+    if (/^\d+$/.test(setting)) return Number(setting);
+    return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Returns an error message for an invalid chat request body, or null. Runs
+// before anything is embedded or stored.
+function validateChatRequest({ question, filters, sessionId, qualtricsId }, { maxQuestionLength = MAX_QUESTION_LENGTH } = {}) {
+    if (!question || typeof question !== 'string' || !question.trim()) {
+        return 'Question is required';
     }
 
-    async initialize() {
-        try {
-            const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'embeddings.json'), 'utf8'));
-            
-            console.log('Data structure check:', {
-                hasEmbeddings: !!data.embeddings,
-                embeddingsLength: data.embeddings?.length,
-                firstEmbeddingLength: data.embeddings?.[0]?.length,
-                hasTexts: !!data.texts,
-                textsLength: data.texts?.length,
-                hasMetadata: !!data.metadata,
-                metadataLength: data.metadata?.length
-            });
+    if (question.length > maxQuestionLength) {
+        return `Please keep your question under ${maxQuestionLength} characters`;
+    }
 
-            if (!data.embeddings || !Array.isArray(data.embeddings)) {
-                throw new Error('Invalid embeddings data structure');
-            }
+    if ([sessionId, qualtricsId].some(id => id !== undefined && id !== null && (typeof id !== 'string' || id.length > MAX_ID_LENGTH))) {
+        return `sessionId and qualtricsId must be strings of at most ${MAX_ID_LENGTH} characters`;
+    }
 
-            this.embeddings = data.embeddings;
-            this.texts = data.texts || [];
-            this.chunkMetadata = data.metadata || [];
+    if (filters !== undefined && (typeof filters !== 'object' || filters === null || Array.isArray(filters))) {
+        return 'Filters must be an object';
+    }
 
-            const metadataFile = fs.readFileSync(path.join(__dirname, 'metadata.csv'), 'utf8');
-            const records = csv.parse(metadataFile, {
-                columns: true,
-                skip_empty_lines: true
-            });
-            
-            records.forEach((record, index) => {
-                const documentId = (index + 1).toString();
-                this.metadata.set(documentId, record);
-            });
-            
-            console.log(`Loaded ${this.embeddings.length} embeddings and ${this.metadata.size} metadata records`);
-        } catch (error) {
-            console.error('Failed to load data:', error);
-            throw error;
-        }
+    if (filters && ['dateFrom', 'dateTo'].some(key => filters[key] && !parseInterviewDate(filters[key]))) {
+        return 'Filter dates must be valid dates';
     }
 
-    async findRelevantContext(question) {
-        try {
-            const questionEmbedding = await this.getEmbedding(question);
-            const similarContent = await this.findSimilarContent(questionEmbedding);
-            
-            if (!similarContent || similarContent.length === 0) {
-                return [];
-            }
+    return null;
+}
 
-            // Group similar content by document but keep individual chunks
-            const resultsByDoc = {};
-            
-            similarContent.forEach(item => {
-                if (!item.metadata || !item.metadata.source) return;
-                
-                const docId = item.metadata.source.match(/document(\d+)\.pdf/)?.[1];
-                if (!docId) return;
-
-                if (!resultsByDoc[docId]) {
-                    const metadata = this.metadata.get(docId);
-                    resultsByDoc[docId] = {
-                        id: docId,
-                        name: metadata?.name || 'Unknown',
-                        chunks: [],
-                        highestScore: 0
-                    };
-                }
-                
-                resultsByDoc[docId].chunks.push({
-                    text: item.text,
-                    page: item.metadata.page,
-                    score: item.score
-                });
-                
-                resultsByDoc[docId].highestScore = Math.max(resultsByDoc[docId].highestScore, item.score);
-            });
+function createApp({
+    pool,
+    provider,
+    searchEngine,
+    indexManager = new IndexManager({ engine: searchEngine }),
+    bots = loadBotProfiles(process.env.BOTS_DIR),
+    defaultBotId = process.env.DEFAULT_BOT_ID || DEFAULT_BOT_ID,
+    experiment = process.env.EXPERIMENT_FILE ? loadExperiment(process.env.EXPERIMENT_FILE, { bots }) : null,
+    rateLimiter = new RateLimiter(rateLimitsFromEnv()),
+    adminToken = process.env.ADMIN_API_TOKEN,
+    conditionsToken = process.env.CONDITIONS_API_TOKEN,
+    // Runs the migrations; routes that write to the database wait for it
+    runMigrations = null
+}) {
+    if (!bots.has(defaultBotId)) {
+        throw new Error(`Default bot profile not found: ${defaultBotId}`);
+    }
 
-            return Object.values(resultsByDoc)
-                .sort((a, b) => b.highestScore - a.highestScore)
-                .slice(0, 2)
-                .map(doc => {
-                    const topChunks = doc.chunks
-                        .sort((a, b) => b.score - a.score)
-                        .slice(0, 3);
-
-                    const pages = [...new Set(topChunks.map(chunk => chunk.page))]
-                        .sort((a, b) => a - b);
-
-                    const pageRanges = this.createPageRanges(pages);
-
-                    return {
-                        interview: {
-                            id: doc.id,
-                            name: doc.name,
-                            pages: pageRanges,
-                            relevanceScore: doc.highestScore,
-                            text: topChunks.map(chunk => chunk.text).join('\n\n')
-                        }
-                    };
-                });
-        } catch (error) {
-            console.error('Error finding relevant context:', error);
-            throw error;
-        }
+    const conditionAssigner = experiment
+        ? new ConditionAssigner(pool, normalizeExperiment(experiment, { bots }))
+        : null;
+    if (conditionAssigner && !conditionsToken) {
+        console.warn('CONDITIONS_API_TOKEN is not set; anyone can create condition assignments');
     }
 
-    createPageRanges(pages) {
-        if (!pages.length) return [];
-        
-        const ranges = [];
-        let rangeStart = pages[0];
-        let prev = pages[0];
-
-        for (let i = 1; i <= pages.length; i++) {
-            if (i === pages.length || pages[i] !== prev + 1) {
-                if (rangeStart === prev) {
-                    ranges.push(rangeStart);
-                } else {
-                    ranges.push(`${rangeStart}-${prev}`);
-                }
-                if (i < pages.length) {
-                    rangeStart = pages[i];
-                }
-            }
-            if (i < pages.length) {
-                prev = pages[i];
+    // Failed migrations are retried with backoff, e.g. while the database is
+    // still coming up during a deploy; error is the last failure until one succeeds
+    const schema = { ready: !runMigrations, error: null };
+    if (runMigrations) {
+        withRetry(runMigrations, {
+            retries: Infinity,
+            maxDelay: 60000,
+            onRetry: (error, attempt, delay) => {
+                schema.error = { message: error.message, attempts: attempt, at: new Date().toISOString() };
+                console.error(`Migrations failed, retrying in ${Math.round(delay / 1000)}s:`, error);
             }
-        }
+        }).then(() => {
+            schema.ready = true;
+            schema.error = null;
+        });
+    }
 
-        return ranges;
+    const app = express();
+    // Off unless TRUST_PROXY is set: a number of proxy hops in front of the app
+    // (e.g. 1 behind a single load balancer), "true", or a list of proxy
+    // addresses. Rate limits key on req.ip, which X-Forwarded-For can spoof
+    // when the app trusts a proxy it isn't behind.
+    const trustProxy = trustProxyFromEnv(process.env.TRUST_PROXY);
+    app.set('trust proxy', trustProxy);
+    if (rateLimiter.limits.ip > 0 && !trustProxy) {
+        console.warn('RATE_LIMIT_PER_IP is on but TRUST_PROXY is not set; behind a proxy all participants share one IP limit');
     }
+    app.use(cors(corsOptions));
+    app.use(express.json({ limit: '20kb' }));
 
-    findSimilarContent(queryEmbedding, sourceName = null) {
-        if (!this.embeddings || !this.embeddings.length) {
-            console.log('No embeddings available');
-            return [];
-        }
+    const usageTracker = new UsageTracker(pool);
 
-        if (!queryEmbedding || !Array.isArray(queryEmbedding)) {
-            console.error('Invalid query embedding');
-            return [];
+    const queryRewriter = new QueryRewriter(provider, {
+        model: process.env.QUERY_REWRITE_MODEL || provider.chatModel
+    });
+
+    // One chat service per bot profile; each logs under its own chatbot_id
+    const chatServices = new Map([...bots.values()].map(profile => [profile.id, new ChatService({
+        pool,
+        provider,
+        getSearchEngine: () => indexManager.engine,
+        queryRewriter,
+        guardrail: profile.guardrail.enabled ? new ResponseGuardrail(profile.guardrail.rules) : null,
+        taskEngine: profile.tasks.length ? new TaskEngine(profile.tasks, { provider }) : null,
+        sessionStore: new SessionStore(pool, {
+            chatbotId: profile.id,
+            historyLength: Number(process.env.SESSION_HISTORY_LENGTH ?? 6),
+            idleTimeoutMinutes: Number(process.env.SESSION_IDLE_MINUTES) || 30
+        }),
+        usageTracker,
+        profile: {
+            ...profile,
+            dailyTokenBudget: profile.dailyTokenBudget ?? (Number(process.env.DAILY_TOKEN_BUDGET) || null)
+        },
+        maxAttempts: Number(process.env.GUARDRAIL_MAX_ATTEMPTS) || 2
+    })]));
+
+    // While a study runs, known participants chat in their assigned condition
+    const conditionFor = async qualtricsId => (
+        conditionAssigner && qualtricsId !== 'unknown' ? conditionAssigner.assign(qualtricsId) : null
+    );
+
+    // A participant's condition decides the bot, so the between-subject data
+    // stays clean; a route (/api/bots/:botId/...) or body botId that asks for
+    // another bot is a conflict. Without a condition the route wins, then the
+    // body, then the default.
+    const chatServiceFor = (req, condition) => {
+        const requested = req.params.botId || req.body.botId;
+        if (condition?.botId) {
+            if (requested && requested !== condition.botId) {
+                return { status: 409, error: 'This participant is assigned to a different bot' };
+            }
+            return { chatService: chatServices.get(condition.botId) };
         }
+        const chatService = chatServices.get(requested || defaultBotId);
+        return chatService ? { chatService } : { status: 404, error: 'Unknown bot' };
+    };
 
-        const similarities = this.embeddings
-            .map((emb, idx) => {
-                if (!emb || !Array.isArray(emb) || emb.length !== queryEmbedding.length) {
-                    console.error(`Invalid embedding at index ${idx}`);
-                    return null;
-                }
+    app.get('/', (req, res) => {
+        res.json({ message: 'API is running' });
+    });
 
-                try {
-                    return {
-                        score: this.cosineSimilarity(queryEmbedding, emb),
-                        text: this.texts[idx] || '',
-                        metadata: this.chunkMetadata[idx] || {}
-                    };
-                } catch (error) {
-                    console.error(`Error processing embedding at index ${idx}:`, error);
-                    return null;
-                }
-            })
-            .filter(item => item !== null);
+    // Liveness: the process is up and serving requests
+    app.get('/health/live', (req, res) => {
+        res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+    });
 
-        let results = similarities;
-        if (sourceName) {
-            results = similarities.filter(item => 
-                item.metadata && item.metadata.source === sourceName
-            );
+    // Readiness: the index is loaded, migrations have run and the database answers
+    app.get('/health/ready', async (req, res) => {
+        const index = indexManager.status();
+        let database;
+        try {
+            await pool.query('SELECT 1');
+            database = { ok: true };
+        } catch (error) {
+            database = { ok: false, error: error.message };
         }
 
-        return results
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 5);
-    }
+        const ready = index.ready && schema.ready && database.ok;
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', index, schema, database });
+    });
 
-    cosineSimilarity(vecA, vecB) {
-        const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0);
-        const normA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
-        const normB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0));
-        return dotProduct / (normA * normB);
-    }
+    // Chat can't answer without the index, so say so instead of replying with no context
+    const requireIndex = (req, res, next) => {
+        if (indexManager.ready) return next();
+        res.set('Retry-After', '10');
+        res.status(503).json({
+            error: 'The chatbot is starting up. Please try again in a moment.',
+            status: 'unavailable'
+        });
+    };
+
+    // Until migrations have run, inserts into their tables and columns would fail
+    const requireSchema = (req, res, next) => {
+        if (schema.ready) return next();
+        res.set('Retry-After', schema.error ? '30' : '10');
+        res.status(503).json({
+            error: 'The chatbot is starting up. Please try again in a moment.',
+            status: 'unavailable'
+        });
+    };
+
+    // Throttles chat per participant, session and IP with a reply the frontend can show
+    const limitRate = (req, res, next) => {
+        const qualtricsId = req.body?.qualtricsId;
+        const result = rateLimiter.check({
+            participant: qualtricsId && qualtricsId !== 'unknown' ? qualtricsId : null,
+            session: req.body?.sessionId,
+            ip: req.ip
+        });
+        if (result.allowed) return next();
+
+        console.warn('Rate limit reached:', { kind: result.kind, qualtricsId, sessionId: req.body?.sessionId, ip: req.ip });
+        rateLimited(res, result);
+    };
+
+    // Condition lookups store an assignment for any id, so they count against the IP limit
+    const limitConditionRate = (req, res, next) => {
+        const result = rateLimiter.check({ ip: req.ip });
+        if (result.allowed) return next();
+
+        console.warn('Rate limit reached:', { kind: result.kind, route: 'conditions', ip: req.ip });
+        rateLimited(res, result);
+    };
+
+    const rateLimited = (res, result) => {
+        const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+            error: `You're sending messages faster than the chatbot can answer. Please wait ${retryAfter} seconds and try again.`,
+            status: 'rate_limited',
+            retryAfter
+        });
+    };
 
-    async getEmbedding(text) {
-        const response = await this.openai.embeddings.create({
-            model: "text-embedding-3-small",
-            input: text,
+    // A bot stops answering once it has used its daily token budget
+    const budgetExceeded = async (chatService, res) => {
+        const budget = await chatService.budgetStatus();
+        if (!budget.exceeded) return false;
+
+        console.warn('Daily token budget reached:', { botId: budget.botId, budget: budget.budget, used: budget.today.totalTokens });
+        res.status(429).json({
+            error: "The chatbot has reached today's usage limit. Please try again tomorrow or contact the study team.",
+            status: 'budget_exceeded'
         });
-        return response.data[0].embedding;
-    }
-}
+        return true;
+    };
+
+    app.get('/api/chat', (req, res) => {
+        res.json({ message: 'Please use POST method for chat requests' });
+    });
 
-const app = express();
-app.use(cors(corsOptions));
-app.use(express.json());
+    app.get('/api/bots', (req, res) => {
+        res.json([...bots.values()].map(({ id, description }) => ({ id, description, default: id === defaultBotId })));
+    });
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+    const handleChat = async (req, res) => {
+        try {
+            const { question, filters } = req.body;
+            const qualtricsId = req.body.qualtricsId || 'unknown';
+            // New conversations get an id the frontend sends back on later turns
+            const sessionId = req.body.sessionId || randomUUID();
+
+            const validationError = validateChatRequest(req.body);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
 
-const searchEngine = new AISearchEngine(openai);
-searchEngine.initialize().catch(console.error);
+            const condition = await conditionFor(qualtricsId);
+            const { chatService, status, error } = chatServiceFor(req, condition);
+            if (!chatService) {
+                return res.status(status).json({ error });
+            }
 
-const sessions = new Map();
+            if (await budgetExceeded(chatService, res)) return;
 
-app.get('/', (req, res) => {
-    res.json({ message: 'API is running' });
-});
+            const turn = await chatService.prepareTurn({ question, sessionId, qualtricsId, filters, condition });
+            const reply = await chatService.generateReply(turn);
+            const { response, citations, flagged, questionId, messageId } = await chatService.completeTurn(turn, reply);
 
-app.get('/api/chat', (req, res) => {
-    res.json({ message: 'Please use POST method for chat requests' });
-});
+            res.json({ response, citations, flagged, sessionId, botId: chatService.chatbotId, questionId, messageId });
 
-app.post('/api/chat', async (req, res) => {
-    try {
-        const { question, sessionId } = req.body;
+        } catch (error) {
+            console.error('Error in chat endpoint:', error);
+            res.status(500).json({
+                error: 'An error occurred while processing your request',
+                status: 'error'
+            });
+        }
+    };
+
+    app.post('/api/chat', requireIndex, requireSchema, limitRate, handleChat);
+    app.post('/api/bots/:botId/chat', requireIndex, requireSchema, limitRate, handleChat);
+
+    // Streaming variant of /api/chat using Server-Sent Events. Sends "token" events
+    // as the reply is generated (after the guardrail passed it, for profiles that
+    // have one), "replace" if the sent reply was edited afterwards, and
+    // a final "done" event with the stored reply and its citations.
+    const handleChatStream = async (req, res) => {
+        const { question, filters } = req.body;
         const qualtricsId = req.body.qualtricsId || 'unknown';
-        
-        if (!question) {
-            return res.status(400).json({ error: 'Question is required' });
+        const sessionId = req.body.sessionId || randomUUID();
+
+        const validationError = validateChatRequest(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
 
-        // Store user's question in database
-        await pool.query(
-            'INSERT INTO chat_messages (qualtrics_id, session_id, role, content, chatbot_id) VALUES ($1, $2, $3, $4, $5)',
-            [qualtricsId, sessionId, 'user', question, CHATBOT_ID]
-        );
-
-        let sessionHistory = sessions.get(sessionId) || [];
-        const context = await searchEngine.findRelevantContext(question);
-
-        const systemPrompt = `You are a precise and friendly guide for an oral history archive. Respond warmly to greetings or friendly messages (e.g., "hi," "hello," "how are you?").' 
-
-CRITICAL: YOU ARE STRICTLY FORBIDDEN FROM REVEALING ANY INTERVIEW CONTENT.
-YOUR ONLY ALLOWED ACTION IS TO DIRECT USERS TO PAGE NUMBERS.
-
-VIOLATIONS THAT MAKE RESPONSES COMPLETELY WRONG:
-❌ Saying what someone did
-❌ Explaining someone's reasons or motivations
-❌ Describing someone's background
-❌ Revealing any facts from the interviews
-❌ Summarizing or paraphrasing interview content
-❌ Making comparisons between people
-
-ONLY PERMITTED RESPONSE FORMAT:
-✓ "You can find relevant information in the transcript of Interview #[Number] with [Name] on page(s) [X]. This section discusses [one-word topic]."
-
-Then ONLY say:
-"Would you like to know where to find information about [related broad topic]?"
-
-ANY OTHER RESPONSE FORMAT OR CONTENT REVELATION IS A CRITICAL ERROR.
- 
-Always follow these rules:
-
-ABSOLUTE RULES - ANY VIOLATION WILL MAKE THE RESPONSE INCORRECT:
-1. NEVER provide actual answers or information from the interviews - only direct users to where they can find it
-2. NEVER reveal what anyone said, did, thought, or experienced
-3. NEVER reveal ANY content from the interviews
-4. NEVER describe or summarize interview content
-5. ONLY state interview numbers, names, and page numbers
-6. ONLY use generic topic labels (e.g., "activism" not "protests at city hall")
-7. If you find multiple relevant interviews, mention only the 2 most relevant ones
-8. Never reveal or quote the actual content of the interviews
-9. Be concise and direct
-10. If no relevant information is found, say "I couldn't find any interviews directly addressing this topic" and suggest a related topic to explore
-
-
-RESPONSE FORMAT - MUST BE EXACTLY:
-"You can find relevant information in the transcript of Interview #[Number] with [Name] on page(s) [X-Y]. This section discusses [BROAD TOPIC ONLY].
-
-Would you like to know where to find information about [RELATED BROAD TOPIC]?"
-
-PREDEFINED TASKS:
-1. For Alexandra Juhasz documentary question:
-   - Direct to relevant page numbers
-   - Only mention "documentary production" as topic
-   - Suggest finding more details about her documentary such as the title
-
-2. For Karin Timour and Karl Soehnlein comparison:
-   - ALWAYS cite BOTH in this exact order:
-     First: "You can find relevant information in the transcript of Interview #14 with Karin Timour on page 6."
-     Second: "You can find relevant information in Karl Soehnlein's interview on page 4."
-   - Use only broad topic label: "AIDS advocacy"
-   - MUST end with: "Would you like to know where to find information about Karl's motivation to stand for people with AIDS?"
-
-For comparisons between people:
-- MUST provide BOTH interview citations
-- MUST use exact page numbers for both
-- MUST keep topic descriptions generic
-- NEVER compare or contrast their actual views/experiences
-
-Example CORRECT response:
-"You can find relevant information in the transcript of Interview #14 with Jane Smith on page 6. This section discusses healthcare advocacy.
-
-Would you like to know where to find information about community organizing?"
-
-Example INCORRECT response:
-"You can find relevant information in the transcript of Interview #14 with Jane Smith on page 6. This section discusses how she started working with AIDS patients and why she chose to become an advocate."
-
-Context: ${JSON.stringify(context)}`;
-
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4-turbo-preview",
-            messages: [
-                {
-                    role: "system",
-                    content: systemPrompt
-                },
-                ...sessionHistory,
-                {
-                    role: "user",
-                    content: question
-                }
-            ],
-            temperature: 0.7,
-            max_tokens: 200
+        let condition;
+        let chatService;
+        try {
+            condition = await conditionFor(qualtricsId);
+            const selected = chatServiceFor(req, condition);
+            if (!selected.chatService) {
+                return res.status(selected.status).json({ error: selected.error });
+            }
+            chatService = selected.chatService;
+            if (await budgetExceeded(chatService, res)) return;
+        } catch (error) {
+            console.error('Error preparing chat stream:', error);
+            return res.status(500).json({
+                error: 'An error occurred while processing your request',
+                status: 'error'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const sendEvent = (event, data) => {
+            if (res.writableEnded) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        // Comment lines keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => {
+            if (!res.writableEnded) res.write(': ping\n\n');
+        }, 15000);
+
+        // Stop the upstream request if the participant goes away mid-reply
+        const upstream = new AbortController();
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            if (!res.writableFinished) {
+                console.log('Client disconnected from chat stream:', { qualtricsId, sessionId });
+                upstream.abort();
+            }
         });
 
-        let response = completion.choices[0].message.content;
+        let turn = null;
+        try {
+            turn = await chatService.prepareTurn({ question, sessionId, qualtricsId, filters, condition });
+            sendEvent('start', { sessionId, botId: chatService.chatbotId });
 
-        // Store bot's response in database
-        await pool.query(
-            'INSERT INTO chat_messages (qualtrics_id, session_id, role, content, chatbot_id) VALUES ($1, $2, $3, $4, $5)',
-            [qualtricsId, sessionId, 'assistant', response, CHATBOT_ID]
-        );
-        
-        sessionHistory = [
-            ...sessionHistory,
-            { role: "user", content: question },
-            { role: "assistant", content: response }
-        ].slice(-6);
+            const reply = await chatService.streamReply(turn, {
+                onToken: text => sendEvent('token', { text }),
+                signal: upstream.signal
+            });
+
+            // The reply is not stored, but the tokens it used still count
+            if (upstream.signal.aborted) {
+                await chatService.trackUsage(turn);
+                return;
+            }
+
+            const { response, citations, flagged, questionId, messageId } = await chatService.completeTurn(turn, reply);
+
+            // Unverified citations were taken out of a reply that was already sent
+            if (response !== reply.streamed) {
+                sendEvent('replace', { response });
+            }
+
+            sendEvent('done', {
+                response,
+                citations,
+                flagged,
+                questionId,
+                messageId,
+                metadata: {
+                    searchQuery: turn.searchQuery.query,
+                    interviews: turn.context.map(item => item.interview.id),
+                    guardrail: reply.guardrail.action
+                }
+            });
+        } catch (error) {
+            if (upstream.signal.aborted) {
+                if (turn) await chatService.trackUsage(turn);
+                return;
+            }
+            console.error('Error in chat stream endpoint:', error);
+            sendEvent('error', {
+                error: 'An error occurred while processing your request',
+                status: 'error'
+            });
+        } finally {
+            clearInterval(heartbeat);
+            res.end();
+        }
+    };
+
+    app.post('/api/chat/stream', requireIndex, requireSchema, limitRate, handleChatStream);
+    app.post('/api/bots/:botId/chat/stream', requireIndex, requireSchema, limitRate, handleChatStream);
+
+    // Condition assignment for Qualtrics: call from a Web Service element and map
+    // the fields into embedded data. Repeated calls return the same condition.
+    // With CONDITIONS_API_TOKEN set, the Web Service element must send it as
+    // "Authorization: Bearer <token>", so made-up ids can't skew balanced assignment.
+    const handleCondition = async (req, res) => {
+        const qualtricsId = String(req.params.qualtricsId || req.body?.qualtricsId || '').trim();
+        if (!conditionAssigner) {
+            return res.status(404).json({ error: 'No experiment is configured' });
+        }
+        if (!qualtricsId || qualtricsId.length > 255) {
+            return res.status(400).json({ error: 'qualtricsId is required' });
+        }
+
+        try {
+            const { studyId, conditionId, botId } = await conditionAssigner.assign(qualtricsId);
+            res.json({ studyId, qualtricsId, conditionId, botId });
+        } catch (error) {
+            console.error('Error assigning condition:', error);
+            res.status(500).json({ error: 'Failed to assign condition' });
+        }
+    };
+
+    const requireConditionsToken = conditionsToken ? requireAdmin(conditionsToken) : (req, res, next) => next();
+    app.get('/api/conditions/:qualtricsId', requireConditionsToken, limitConditionRate, requireSchema, handleCondition);
+    app.post('/api/conditions', requireConditionsToken, limitConditionRate, requireSchema, handleCondition);
+
+    app.use('/api/feedback', requireSchema, createFeedbackRouter({ pool }));
+
+    // Archive catalog from metadata.csv, loaded together with the index
+    app.use('/api/catalog', requireIndex, createCatalogRouter({ getSearchEngine: () => indexManager.engine }));
+
+    // Researcher routes, all behind the admin token
+    app.use('/api/admin/analytics', requireAdmin(adminToken), createAnalyticsRouter({ pool, getSearchEngine: () => indexManager.engine }));
+    app.use('/api/admin', createAdminRouter({ pool, adminToken, indexManager, rateLimiter, usageTracker, chatServices }));
+
+    // Add new endpoint to get chat history. ?provenance=true adds how each
+    // reply was produced (retrieval, model, tokens, latency, guardrail).
+    app.get('/api/chat/history/:qualtricsId', requireAdmin(adminToken), async (req, res) => {
+        try {
+            const columns = req.query.provenance === 'true'
+                ? [...MESSAGE_COLUMNS, ...PROVENANCE_COLUMNS]
+                : MESSAGE_COLUMNS;
+            const result = await pool.query(
+                `SELECT ${columns.join(', ')} FROM chat_messages WHERE qualtrics_id = $1 ORDER BY timestamp, id`,
+                [req.params.qualtricsId]
+            );
         
-        sessions.set(sessionId, sessionHistory);
+            res.json(result.rows);
+        } catch (error) {
+            console.error('Error getting chat history:', error);
+            res.status(500).json({ error: 'Failed to get chat history' });
+        }
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ error: 'Route not found' });
+    });
 
-        res.json({ response });
+    // Bodies express.json() refuses, with a reply the frontend can show
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({
+                error: 'Your message is too long. Please shorten it and try again.',
+                status: 'too_large'
+            });
+        }
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({
+                error: 'The request could not be read. Please try again.',
+                status: 'invalid_request'
+            });
+        }
+        next(err);
+    });
 
-    } catch (error) {
-        console.error('Error in chat endpoint:', error);
-        res.status(500).json({
-            error: 'An error occurred while processing your request',
-            status: 'error'
+    app.use((err, req, res, next) => {
+        console.error(err.stack);
+        res.status(500).json({ 
+            error: 'Something broke!',
+            details: process.env.NODE_ENV === 'development' ? err.message : undefined
         });
-    }
-});
-
-// Add new endpoint to get chat history
-app.get('/api/chat/history/:qualtricsId', async (req, res) => {
-    try {
-        const result = await pool.query(
-            'SELECT * FROM chat_messages WHERE qualtrics_id = $1 ORDER BY timestamp',
-            [req.params.qualtricsId]
-        );
-        
-        res.json(result.rows);
-    } catch (error) {
-        console.error('Error getting chat history:', error);
-        res.status(500).json({ error: 'Failed to get chat history' });
-    }
-});
+    });
 
-app.use((req, res) => {
-    res.status(404).json({ error: 'Route not found' });
-});
+    return app;
+}
+
+if (require.main === module) {
+    const pool = createPool();
+
+    const provider = createProvider();
+    const indexManager = new IndexManager({
+        createEngine: () => new AISearchEngine(provider, {
+            indexDir: process.env.INDEX_DIR,
+            ...searchOptionsFromEnv()
+        })
+    });
+    // Chat answers 503 until this finishes; /health/ready reports the error if it fails
+    indexManager.load().catch(() => {});
 
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ 
-        error: 'Something broke!',
-        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    // Chat and feedback answer 503 until migrations have run; /health/ready reports failures
+    const app = createApp({ pool, provider, indexManager, runMigrations: () => migrate(pool) });
+
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+        console.log(`Server is running on ${PORT} (${provider.name} provider)`);
     });
-});
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server is running on ${PORT}`);
-});
+    process.on('unhandledRejection', (error) => {
+        console.error('Unhandled Promise Rejection:', error);
+    });
 
-process.on('unhandledRejection', (error) => {
-    console.error('Unhandled Promise Rejection:', error);
-});
+    process.on('uncaughtException', (error) => {
+        console.error('Uncaught Exception:', error);
+        process.exit(1);
+    });
+}
 
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    process.exit(1);
-});
\ No newline at end of file
+module.exports = { createApp, validateChatRequest, rateLimitsFromEnv, trustProxyFromEnv };
\ No newline at end of file
@@ -0,0 +1,834 @@
+// End-to-end run of ingestion and the chat routes on the mock provider, with
+// no network access, API key or database.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MockProvider } = require('../lib/providers');
+const { AISearchEngine } = require('../lib/searchEngine');
+const { DocumentProcessor } = require('../scripts/generateEmbeddings');
+const { createApp, trustProxyFromEnv, rateLimitsFromEnv } = require('../server');
+const { hashCondition, normalizeExperiment } = require('../lib/conditions');
+const { loadBotProfiles } = require('../lib/botProfiles');
+const { evaluateRetrieval, evaluateChat } = require('../scripts/evaluate');
+const { IndexManager } = require('../lib/indexManager');
+const { RateLimiter } = require('../lib/rateLimiter');
+const { VectorIndex, writeVectorIndex } = require('../lib/vectorIndex');
+const { chunkDocument, splitBySpeaker } = require('../lib/chunker');
+const { ResponseGuardrail, parseCitations } = require('../lib/guardrail');
+const { verifyCitations, buildCitations } = require('../lib/citations');
+const { ChatService } = require('../lib/chatService');
+const { QueryRewriter } = require('../lib/queryRewriter');
+const { TaskEngine } = require('../lib/taskEngine');
+
+// Builds a PDF with one text line per array entry on each page
+function buildPdf(pages) {
+    const objects = [];
+    const add = body => {
+        objects.push(body);
+        return objects.length;
+    };
+    const escape = text => text.replace(/[\\()]/g, match => `\\${match}`);
+
+    add('<< /Type /Catalog /Pages 2 0 R >>');
+    add(null);
+    const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+    const pageIds = pages.map(lines => {
+        const stream = `BT /F1 11 Tf 14 TL 72 740 Td ${lines.map(line => `(${escape(line)}) Tj T*`).join(' ')} ET`;
+        const contents = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${contents} 0 R >>`);
+    });
+    objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(pdf);
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+        pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf);
+}
+
+// Records queries, hands out ids for INSERT ... RETURNING and answers
+// queries matching a stubbed pattern with canned rows
+class FakePool {
+    constructor() {
+        this.queries = [];
+        this.stubs = [];
+    }
+
+    stub(pattern, rows) {
+        this.stubs.push({ pattern, rows });
+    }
+
+    async query(sql, params = []) {
+        this.queries.push({ sql, params });
+        const stub = this.stubs.find(({ pattern }) => pattern.test(sql));
+        if (stub) return { rows: typeof stub.rows === 'function' ? stub.rows(params) : stub.rows };
+        return /RETURNING/i.test(sql) ? { rows: [{ id: this.queries.length }] } : { rows: [] };
+    }
+
+    inserts(table) {
+        return this.queries.filter(({ sql }) => sql.includes(`INSERT INTO ${table}`));
+    }
+}
+
+const ADMIN_TOKEN = 'e2e-admin-token';
+const EXPERIMENT = normalizeExperiment({
+    studyId: 'e2e-study',
+    assignment: 'hash',
+    conditions: [
+        { id: 'two-documents', botId: 'guiding-bot', retrieval: { maxDocuments: 2 } },
+        { id: 'one-document', botId: 'guiding-bot', retrieval: { maxDocuments: 1 } }
+    ]
+});
+
+let tmpDir;
+let provider;
+let pool;
+let server;
+let baseUrl;
+let searchEngine;
+let ingestReport;
+
+before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-e2e-'));
+    const pdfDir = path.join(tmpDir, 'pdfs');
+    const indexDir = path.join(tmpDir, 'index');
+    fs.mkdirSync(pdfDir);
+
+    fs.writeFileSync(path.join(pdfDir, 'document3.pdf'), buildPdf([
+        ['ACT UP Oral History Project', 'Interview with Gregg Bordowitz'],
+        [
+            'SARAH SCHULMAN: Tell me about the FDA action.',
+            'GREGG BORDOWITZ: We planned the FDA action in Rockville for months.',
+            'Affinity groups blocked the doors of the FDA building.',
+            '1'
+        ],
+        [
+            'SARAH SCHULMAN: What came after that?',
+            'GREGG BORDOWITZ: Video work with the AIDS activist video collective.',
+            '2'
+        ]
+    ]));
+    fs.writeFileSync(path.join(pdfDir, 'document14.pdf'), buildPdf([
+        ['ACT UP Oral History Project', 'Interview with Karin Timour'],
+        [
+            'SARAH SCHULMAN: How did you get involved?',
+            'KARIN TIMOUR: Insurance discrimination was killing people with AIDS.',
+            '1'
+        ]
+    ]));
+
+    provider = new MockProvider({ delayMs: 1 });
+    // Only two of the interviews in metadata.csv are ingested
+    const processor = new DocumentProcessor({ provider, indexDir, pdfDir, allowMissingPdfs: true });
+    ingestReport = await processor.processDocuments();
+
+    searchEngine = new AISearchEngine(provider, { indexDir });
+    await searchEngine.initialize();
+
+    pool = new FakePool();
+    const app = createApp({
+        pool,
+        provider,
+        searchEngine,
+        adminToken: ADMIN_TOKEN,
+        experiment: EXPERIMENT,
+        rateLimiter: new RateLimiter({ windowMs: 60000, limits: { participant: 3 } })
+    });
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    if (server) server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const postJson = (route, body) => fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+test('ingestion writes an index with printed page labels', () => {
+    const { manifest, chunks } = VectorIndex.load(path.join(tmpDir, 'index'));
+
+    assert.strictEqual(manifest.model, provider.embeddingModel);
+    assert.strictEqual(manifest.count, chunks.length);
+
+    const bordowitz = chunks.find(chunk => chunk.source === 'document3.pdf' && chunk.text.includes('Rockville'));
+    assert.ok(bordowitz, 'expected a chunk with the FDA passage');
+    assert.ok(bordowitz.pageLabels.includes('1'));
+    assert.ok(bordowitz.speakers.includes('GREGG BORDOWITZ'));
+    assert.strictEqual(bordowitz.interviewId, '3');
+
+    assert.ok(ingestReport.ok);
+    assert.deepStrictEqual(ingestReport.pdfsWithoutMetadata, []);
+    assert.ok(ingestReport.metadataWithoutPdf.some(row => row.id === '1'));
+    assert.deepStrictEqual(
+        ingestReport.chunksPerInterview.map(({ interviewId, narrator, pages }) => ({ interviewId, narrator, pages })),
+        [
+            { interviewId: '3', narrator: 'Gregg Bordowitz', pages: 3 },
+            { interviewId: '14', narrator: 'Karin Timour', pages: 2 }
+        ]
+    );
+    assert.ok(fs.existsSync(path.join(tmpDir, 'index', 'ingest-report.json')));
+});
+
+test('adjacent chunks share their boundary sentences, even between long turns', () => {
+    const turn = (speaker, topic) => `${speaker}: ` + Array.from({ length: 30 }, (_, i) => (
+        `Sentence ${i + 1} about ${topic} goes on for a little while before it ends.`
+    )).join(' ');
+    const pages = [
+        { page: 1, text: turn('SARAH SCHULMAN', 'the question') },
+        { page: 2, text: turn('GREGG BORDOWITZ', 'the answer') },
+        { page: 3, text: turn('SARAH SCHULMAN', 'the follow-up') }
+    ];
+
+    const chunks = chunkDocument(pages, { source: 'overlap.pdf', maxTokens: 200, overlapTokens: 50 });
+    assert.ok(chunks.length > 3);
+    chunks.slice(1).forEach((chunk, index) => {
+        const lastSentence = chunks[index].text.split(/(?<=\.)\s+/).pop();
+        assert.ok(chunk.text.includes(lastSentence), `chunk ${index + 1} should repeat the end of chunk ${index}`);
+        assert.ok(chunk.tokens <= 210, `chunk ${index + 1} has ${chunk.tokens} tokens`);
+    });
+
+    const noOverlap = chunkDocument(pages, { source: 'overlap.pdf', maxTokens: 200, overlapTokens: 0 });
+    const lastSentence = noOverlap[0].text.split(/(?<=\.)\s+/).pop();
+    assert.ok(!noOverlap[1].text.includes(lastSentence));
+});
+
+test('speaker labels are only read at the start of a line', () => {
+    const pieces = splitBySpeaker('GREGG BORDOWITZ: We marched to the FDA: it was huge. Then ACT UP: the next step.\nSARAH SCHULMAN: And after that?');
+    assert.deepStrictEqual(pieces, [
+        { speaker: 'GREGG BORDOWITZ', text: 'GREGG BORDOWITZ: We marched to the FDA: it was huge. Then ACT UP: the next step.' },
+        { speaker: 'SARAH SCHULMAN', text: 'SARAH SCHULMAN: And after that?' }
+    ]);
+});
+
+test('a rebuilt index replaces the old one in a single step', () => {
+    const dir = path.join(tmpDir, 'rebuilt');
+    writeVectorIndex(dir, { model: 'm', embeddings: [[1, 0], [0, 1]], chunks: [{ text: 'old a' }, { text: 'old b' }] });
+    const first = VectorIndex.resolve(dir);
+
+    // Same count and dimension, so mixing files from both builds would go unnoticed
+    writeVectorIndex(dir, { model: 'm', embeddings: [[0, 1], [1, 0]], chunks: [{ text: 'new a' }, { text: 'new b' }] });
+    assert.notStrictEqual(VectorIndex.resolve(dir), first);
+    assert.deepStrictEqual(VectorIndex.load(dir).chunks.map(chunk => chunk.text), ['new a', 'new b']);
+    assert.deepStrictEqual(VectorIndex.load(first).chunks.map(chunk => chunk.text), ['old a', 'old b'], 'the old build is left intact');
+
+    writeVectorIndex(dir, { model: 'm', embeddings: [[1, 1]], chunks: [{ text: 'third' }] });
+    writeVectorIndex(dir, { model: 'm', embeddings: [[1, 1]], chunks: [{ text: 'fourth' }] });
+    assert.strictEqual(fs.readdirSync(path.join(dir, 'builds')).length, 3);
+    assert.ok(!fs.existsSync(first), 'old builds are pruned');
+});
+
+test('ingestion refuses to build an index from sources that do not reconcile', async () => {
+    const dir = path.join(tmpDir, 'broken');
+    const pdfDir = path.join(dir, 'pdfs');
+    const indexDir = path.join(dir, 'index');
+    const metadataPath = path.join(dir, 'metadata.csv');
+    fs.mkdirSync(pdfDir, { recursive: true });
+
+    // Ids don't follow row order, and one row has no PDF
+    fs.writeFileSync(metadataPath, [
+        'id,name,date,excerpt_title,tags,web_url,pdf_name',
+        '8,Missing Narrator,"May 1, 2003",Gone,Tag,,gone.pdf',
+        '7,Jane Doe,"May 2, 2003",Renamed,Tag,,renamed.pdf'
+    ].join('\n'));
+    fs.writeFileSync(path.join(pdfDir, 'renamed.pdf'), buildPdf([
+        ['JANE DOE: The first page has text.'],
+        []
+    ]));
+    fs.writeFileSync(path.join(pdfDir, 'stray.pdf'), buildPdf([['Nobody described this file.']]));
+
+    const processor = new DocumentProcessor({ provider, indexDir, pdfDir, metadataPath });
+    const report = await processor.processDocuments();
+    assert.strictEqual(process.exitCode, 1);
+    process.exitCode = 0;
+
+    assert.strictEqual(report.ok, false);
+    assert.deepStrictEqual(report.pdfsWithoutMetadata, ['stray.pdf']);
+    assert.deepStrictEqual(report.metadataWithoutPdf.map(row => row.id), ['8']);
+    assert.deepStrictEqual(report.emptyPages, [{ file: 'renamed.pdf', interviewId: '7', pages: [2] }]);
+    assert.strictEqual(report.chunksPerInterview.find(item => item.pdfName === 'renamed.pdf').interviewId, '7');
+    assert.strictEqual(report.errors.length, 3);
+    assert.ok(!VectorIndex.exists(indexDir), 'no index should be written');
+});
+
+test('POST /api/chat answers with a verified citation and logs both messages', async () => {
+    const res = await postJson('/api/chat', {
+        question: 'What did Gregg Bordowitz say about the FDA action?',
+        sessionId: 'e2e-1',
+        qualtricsId: 'R_e2e'
+    });
+    assert.strictEqual(res.status, 200);
+
+    const body = await res.json();
+    assert.match(body.response, /^You can find relevant information in the transcript of Interview #3 with Gregg Bordowitz on page/);
+    assert.strictEqual(body.citations.length, 1);
+    assert.strictEqual(body.citations[0].interviewId, '3');
+    assert.strictEqual(body.citations[0].pdfName, 'document3.pdf');
+
+    const messages = pool.inserts('chat_messages').filter(({ params }) => params[1] === 'e2e-1');
+    assert.deepStrictEqual(messages.map(({ params }) => params[2]), ['user', 'assistant']);
+
+    // The assistant row carries what was retrieved and how the reply was produced
+    const [, , , , , searchQuery, retrieval, model, , , , totalTokens, latency, guardrail] = messages[1].params;
+    assert.strictEqual(searchQuery, 'What did Gregg Bordowitz say about the FDA action?');
+    assert.strictEqual(model, provider.chatModel);
+    assert.ok(totalTokens > 0);
+    assert.ok(latency >= 0);
+    assert.strictEqual(JSON.parse(guardrail).action, 'passed');
+    const [interview] = JSON.parse(retrieval).interviews;
+    assert.strictEqual(interview.interviewId, '3');
+    assert.ok(interview.chunks.every(chunk => Number.isInteger(chunk.index) && typeof chunk.score === 'number'));
+});
+
+test('a reply that leaks transcript text is replaced and logged', async () => {
+    provider.enqueueReply('Gregg Bordowitz planned the FDA action in Rockville for months and affinity groups blocked the doors.');
+    provider.enqueueReply('They blocked the doors of the FDA building in Rockville.');
+
+    const res = await postJson('/api/chat', { question: 'Tell me about the FDA action in Rockville', sessionId: 'e2e-2' });
+    const body = await res.json();
+
+    assert.match(body.response, /^You can find relevant information in the transcript of Interview #/);
+    assert.doesNotMatch(body.response, /blocked the doors/);
+
+    const events = pool.inserts('guardrail_events').map(({ params }) => params[4]);
+    assert.deepStrictEqual(events, ['regenerate', 'fallback']);
+});
+
+test('a short reply that describes the interviews without citing them is a violation', () => {
+    const guardrail = new ResponseGuardrail();
+    const context = [{
+        interview: {
+            id: '3',
+            name: 'Gregg Bordowitz',
+            pages: ['1'],
+            text: 'We planned the FDA action in Rockville for months. Affinity groups blocked the doors of the FDA building.'
+        }
+    }];
+
+    const leak = guardrail.validate('Affinity groups spent months planning, then blocked doors at the Rockville building.', context);
+    assert.strictEqual(leak.valid, false);
+    assert.ok(leak.violations.some(violation => violation.type === 'unexpected_format'));
+
+    // Small talk shares nothing with the transcript and stays as it is
+    [
+        'Hello! What topic would you like to explore?',
+        'Could you tell me more about what you are looking for?',
+        "I'm doing well, thank you! How can I help you with the archive today?",
+        'Good morning! What would you like to explore?',
+        'I am glad I could help. Goodbye!'
+    ].forEach(reply => assert.ok(guardrail.validate(reply, context).valid, reply));
+});
+
+test('a guarded bot answers "how are you?" without citing what retrieval found', async () => {
+    const reply = "I'm doing well, thank you! How can I help you with the archive today?";
+    provider.enqueueReply(reply);
+
+    const res = await postJson('/api/chat', { question: 'how are you?', sessionId: 'e2e-small-talk' });
+    const body = await res.json();
+
+    assert.strictEqual(body.response, reply);
+    assert.deepStrictEqual(body.citations, []);
+    assert.ok(!pool.inserts('guardrail_events').some(({ params }) => params[1] === 'e2e-small-talk'));
+});
+
+const readEvents = async res => (await res.text())
+    .split('\n\n')
+    .filter(block => block.startsWith('event:'))
+    .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+
+test('POST /api/chat/stream sends tokens and a final done event', async () => {
+    const res = await postJson('/api/chat/stream', { question: 'Karin Timour insurance', sessionId: 'e2e-3' });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+    const events = await readEvents(res);
+    const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+    const done = events.find(({ event }) => event === 'done');
+
+    assert.ok(done, 'expected a done event');
+    assert.strictEqual(tokens, done.data.response);
+    assert.strictEqual(done.data.citations[0].interviewId, '14');
+});
+
+test('a streamed reply that leaks transcript text never reaches the participant', async () => {
+    provider.enqueueReply('Gregg Bordowitz planned the FDA action in Rockville for months and affinity groups blocked the doors.');
+    provider.enqueueReply('They blocked the doors of the FDA building in Rockville.');
+
+    const res = await postJson('/api/chat/stream', { question: 'Tell me about the FDA action in Rockville', sessionId: 'e2e-stream-leak' });
+    const events = await readEvents(res);
+    const tokens = events.filter(({ event }) => event === 'token').map(({ data }) => data.text);
+    const done = events.find(({ event }) => event === 'done');
+
+    assert.ok(tokens.length);
+    tokens.forEach(text => assert.doesNotMatch(text, /blocked the doors|affinity groups|planned the FDA action/));
+    assert.strictEqual(tokens.join(''), done.data.response);
+    assert.match(done.data.response, /^You can find relevant information in the transcript of Interview #/);
+    assert.ok(!events.some(({ event }) => event === 'replace'));
+});
+
+test('a stream the participant leaves still counts the tokens it used', async () => {
+    provider.enqueueReply('Karin Timour talks about insurance at length. '.repeat(100));
+    const recorded = pool.inserts('bot_usage_daily').length;
+
+    const controller = new AbortController();
+    const res = await fetch(`${baseUrl}/api/bots/direct-answer-bot/chat/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ question: 'Karin Timour insurance', sessionId: 'e2e-stream-abort' }),
+        signal: controller.signal
+    });
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let received = '';
+    while (!received.includes('event: token')) {
+        const { value, done } = await reader.read();
+        assert.ok(!done, `expected tokens before the stream ended: ${received}`);
+        received += decoder.decode(value);
+    }
+    controller.abort();
+
+    for (let i = 0; i < 100 && pool.inserts('bot_usage_daily').length === recorded; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const usage = pool.inserts('bot_usage_daily').slice(recorded);
+    assert.strictEqual(usage.length, 1, 'expected the aborted turn to be counted');
+    const [chatbotId, promptTokens, completionTokens, totalTokens] = usage[0].params;
+    assert.strictEqual(chatbotId, 'direct-answer-bot');
+    assert.ok(promptTokens > 0 && completionTokens > 0);
+    assert.ok(completionTokens < 700, 'expected only the streamed part of the reply to be counted');
+    assert.ok(totalTokens >= promptTokens + completionTokens);
+
+    const messages = pool.inserts('chat_messages').filter(({ params }) => params[1] === 'e2e-stream-abort');
+    assert.deepStrictEqual(messages.map(({ params }) => params[2]), ['user']);
+});
+
+test('query rewrites and embeddings count towards the daily token budget', async () => {
+    const history = [
+        { role: 'user', content: 'Tell me about Gregg Bordowitz' },
+        { role: 'assistant', content: 'He talks about the FDA action.' }
+    ];
+    const service = new ChatService({
+        pool: new FakePool(),
+        provider,
+        searchEngine,
+        queryRewriter: new QueryRewriter(provider),
+        guardrail: null,
+        taskEngine: new TaskEngine([{
+            id: 'video-work',
+            mode: 'check',
+            match: { narrators: [], keywords: [], examples: ['AIDS activist video collective'], minSimilarity: 0.99 },
+            citations: [],
+            topic: null,
+            followUp: 'Would you like to know more?'
+        }], { provider }),
+        sessionStore: { startTurn: async () => history },
+        profile: loadBotProfiles().get('direct-answer-bot')
+    });
+
+    const calls = provider.calls.length;
+    const turn = await service.prepareTurn({ question: 'What about his video work?', sessionId: 'e2e-usage', qualtricsId: 'R_usage' });
+    assert.strictEqual(turn.searchQuery.method, 'llm');
+
+    const made = provider.calls.slice(calls);
+    const rewrite = made.find(call => call.type === 'complete');
+    const embedded = made.filter(call => call.type === 'embed').flatMap(call => call.inputs);
+    assert.ok(embedded.includes('AIDS activist video collective'), 'expected the task examples to be embedded');
+
+    const embeddingTokens = embedded.reduce((sum, text) => sum + text.split(/\s+/).filter(Boolean).length, 0);
+    const rewriteUsage = provider.usageFor(rewrite.messages, turn.searchQuery.query);
+    assert.deepStrictEqual(turn.usage, {
+        promptTokens: rewriteUsage.prompt_tokens + embeddingTokens,
+        completionTokens: rewriteUsage.completion_tokens,
+        totalTokens: rewriteUsage.total_tokens + embeddingTokens
+    });
+});
+
+test('a new conversation gets a session id that is stored with the participant', async () => {
+    const res = await postJson('/api/chat', { question: 'Karin Timour insurance', qualtricsId: 'R_new' });
+    const body = await res.json();
+
+    assert.ok(body.sessionId, 'expected a generated session id');
+    const session = pool.inserts('chat_sessions').find(({ params }) => params[0] === body.sessionId);
+    assert.ok(session, 'expected the session to be recorded');
+    assert.strictEqual(session.params[1], 'R_new');
+});
+
+test('POST /api/chat rejects a request without a question', async () => {
+    const res = await postJson('/api/chat', { sessionId: 'e2e-4' });
+    assert.strictEqual(res.status, 400);
+});
+
+test('admin routes require the bearer token', async () => {
+    const history = await fetch(`${baseUrl}/api/chat/history/R_e2e`);
+    assert.strictEqual(history.status, 401);
+
+    const exported = await fetch(`${baseUrl}/api/admin/export`, {
+        headers: { Authorization: 'Bearer wrong-token' }
+    });
+    assert.strictEqual(exported.status, 401);
+});
+
+test('GET /api/admin/export streams filtered messages as CSV', async () => {
+    pool.stub(/FROM chat_messages\s+WHERE id > \$1/, [
+        { message_id: 7, qualtrics_id: 'R_e2e', session_id: 'e2e-1', chatbot_id: 'guiding-bot', role: 'assistant', content: 'Says "hi", then\nleaves', timestamp: new Date('2024-05-01T10:00:00Z') }
+    ]);
+
+    const res = await fetch(`${baseUrl}/api/admin/export?format=csv&chatbotId=guiding-bot&from=2024-05-01&participants=R_e2e,R_other`, {
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/csv/);
+
+    const lines = (await res.text()).split('\r\n');
+    assert.match(lines[0], /^message_id,qualtrics_id,session_id,chatbot_id,role,content,timestamp/);
+    assert.ok(lines[1].startsWith('7,R_e2e,e2e-1,guiding-bot,assistant,"Says ""hi"", then\nleaves",2024-05-01T10:00:00.000Z'));
+
+    const { params } = pool.queries.filter(({ sql }) => /WHERE id > \$1/.test(sql)).pop();
+    assert.deepStrictEqual(params.slice(0, 2), [0, 'guiding-bot']);
+    assert.deepStrictEqual(params[3], ['R_e2e', 'R_other']);
+});
+
+test('a bot profile can be picked by route and logs under its own chatbot_id', async () => {
+    const res = await postJson('/api/bots/direct-answer-bot/chat', { question: 'Karin Timour insurance', sessionId: 'e2e-direct' });
+    assert.strictEqual(res.status, 200);
+
+    const body = await res.json();
+    assert.strictEqual(body.botId, 'direct-answer-bot');
+
+    const messages = pool.inserts('chat_messages').filter(({ params }) => params[1] === 'e2e-direct');
+    assert.deepStrictEqual(messages.map(({ params }) => params[4]), ['direct-answer-bot', 'direct-answer-bot']);
+    assert.strictEqual(JSON.parse(messages[1].params[13]).action, 'disabled');
+
+    const unknown = await postJson('/api/chat', { question: 'Hello', botId: 'no-such-bot' });
+    assert.strictEqual(unknown.status, 404);
+});
+
+test('unverified citations are taken out of replies from bots without a guardrail', async () => {
+    provider.enqueueReply('Karin Timour talks about insurance. You can find relevant information in the transcript of Interview #14 with Karin Timour on page 1. You can also find relevant information in the transcript of Interview #14 with Karin Timour on page 40.');
+
+    const res = await postJson('/api/bots/direct-answer-bot/chat', { question: 'Karin Timour insurance', sessionId: 'e2e-direct-citations' });
+    const body = await res.json();
+
+    assert.doesNotMatch(body.response, /page 40/);
+    assert.match(body.response, /Interview #14 with Karin Timour on page 1\./);
+    assert.deepStrictEqual(body.citations.map(citation => citation.pages), [['1']]);
+    assert.deepStrictEqual(body.flagged, [{ interviewId: '14', name: 'Karin Timour', pages: ['40'], reason: 'page_not_in_context' }]);
+
+    const [, stored] = pool.inserts('chat_messages').filter(({ params }) => params[1] === 'e2e-direct-citations');
+    assert.strictEqual(stored.params[3], body.response);
+});
+
+test('citations only match a narrator by full or last name, never a shared first name', () => {
+    const context = [
+        { interview: { id: '19', name: 'Michael Petrelis', pages: ['4'] } },
+        { interview: { id: '13', name: 'Michael Nesline', pages: ['4'] } },
+        { interview: { id: '7', name: 'Jim Eigo', pages: ['2'] } },
+        { interview: { id: '8', name: 'Lori Eigo', pages: ['2'] } }
+    ];
+    const check = reply => verifyCitations(parseCitations(reply), context);
+
+    const wrongNarrator = check('You can find relevant information in the transcript of Interview #19 with Michael Nesline on page 4.');
+    assert.deepStrictEqual(wrongNarrator.invalid.map(citation => citation.reason), ['name_does_not_match_interview']);
+
+    const byName = check("You can find relevant information in Michael Nesline's interview on page 4. You can also find relevant information in Petrelis's interview on page 4.");
+    assert.deepStrictEqual(byName.verified.map(citation => citation.interviewId), ['13', '19']);
+    const [nesline] = buildCitations(byName.verified, context, () => null);
+    assert.strictEqual(nesline.narrator, 'Michael Nesline');
+
+    const ambiguous = check("You can find relevant information in Eigo's interview on page 2.");
+    assert.deepStrictEqual(ambiguous.invalid.map(citation => citation.reason), ['ambiguous_name']);
+    assert.deepStrictEqual(check("You can find relevant information in Jim Eigo's interview on page 2.").verified.map(citation => citation.interviewId), ['7']);
+});
+
+test('a forced task answers with its scripted citations', async () => {
+    const calls = provider.calls.length;
+    const res = await postJson('/api/chat', { question: 'How do Karin Timour and Karl Soehnlein compare?', sessionId: 'e2e-task' });
+    const body = await res.json();
+
+    assert.strictEqual(body.response, [
+        'You can find relevant information in the transcript of Interview #14 with Karin Timour on page 6.',
+        "You can find relevant information in Karl Soehnlein's interview on page 4.",
+        'This section discusses AIDS advocacy.\n\nWould you like to know where to find information about Karl\'s motivation to stand for people with AIDS?'
+    ].join(' '));
+    assert.deepStrictEqual(body.citations.map(citation => [citation.interviewId, citation.pages]), [['14', ['6']], ['17', ['4']]]);
+    assert.ok(!provider.calls.slice(calls).some(call => call.type === 'complete'), 'expected no completion call');
+});
+
+test('participants get a stable condition that is logged with their messages', async () => {
+    const expected = hashCondition(EXPERIMENT, 'R_cond').id;
+
+    const first = await (await fetch(`${baseUrl}/api/conditions/R_cond`)).json();
+    const second = await (await postJson('/api/conditions', { qualtricsId: 'R_cond' })).json();
+    assert.deepStrictEqual(first, { studyId: 'e2e-study', qualtricsId: 'R_cond', conditionId: expected, botId: 'guiding-bot' });
+    assert.strictEqual(second.conditionId, expected);
+
+    await postJson('/api/chat', { question: 'Karin Timour insurance', sessionId: 'e2e-cond', qualtricsId: 'R_cond' });
+    const messages = pool.inserts('chat_messages').filter(({ params }) => params[1] === 'e2e-cond');
+    assert.deepStrictEqual(messages.map(({ params }) => params[2]), ['user', 'assistant']);
+    assert.strictEqual(messages[0].params[5], expected);
+    assert.strictEqual(messages[1].params[15], expected);
+
+    // The condition picks the bot; asking for another one by route or body is refused
+    const byRoute = await postJson('/api/bots/direct-answer-bot/chat', { question: 'Karin Timour insurance', sessionId: 'e2e-cond', qualtricsId: 'R_cond' });
+    assert.strictEqual(byRoute.status, 409);
+    const byBody = await postJson('/api/chat/stream', { question: 'Karin Timour insurance', sessionId: 'e2e-cond', qualtricsId: 'R_cond', botId: 'direct-answer-bot' });
+    assert.strictEqual(byBody.status, 409);
+    assert.ok(!pool.inserts('chat_messages').some(({ params }) => params[4] === 'direct-answer-bot' && params[1] === 'e2e-cond'));
+});
+
+test('condition lookups can require a shared secret and are rate limited per IP', async () => {
+    const conditionsPool = new FakePool();
+    const app = createApp({
+        pool: conditionsPool,
+        provider,
+        searchEngine,
+        experiment: EXPERIMENT,
+        conditionsToken: 'qualtrics-secret',
+        rateLimiter: new RateLimiter({ windowMs: 60000, limits: { ip: 2 } })
+    });
+    const instance = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${instance.address().port}`;
+    const lookup = (id, token) => fetch(`${url}/api/conditions/${id}`, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+
+    try {
+        assert.strictEqual((await lookup('R_made_up')).status, 401);
+        assert.strictEqual((await lookup('R_made_up', 'wrong')).status, 401);
+        assert.strictEqual(conditionsPool.inserts('condition_assignments').length, 0);
+
+        assert.strictEqual((await lookup('R_first', 'qualtrics-secret')).status, 200);
+        assert.strictEqual((await lookup('R_second', 'qualtrics-secret')).status, 200);
+        const limited = await lookup('R_third', 'qualtrics-secret');
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual((await limited.json()).status, 'rate_limited');
+    } finally {
+        instance.close();
+    }
+});
+
+test('replies carry message ids that participants can attach feedback to', async () => {
+    const reply = await (await postJson('/api/chat', { question: 'Karin Timour insurance', sessionId: 'e2e-feedback' })).json();
+    assert.ok(Number.isInteger(reply.questionId));
+    assert.ok(Number.isInteger(reply.messageId));
+
+    pool.stub(/FROM chat_messages WHERE id = \$1 AND session_id = \$2/, params => (
+        params[0] === reply.messageId && params[1] === 'e2e-feedback' ? [{ id: reply.messageId }] : []
+    ));
+
+    const saved = await postJson('/api/feedback', {
+        messageId: reply.messageId,
+        sessionId: 'e2e-feedback',
+        rating: 'down',
+        pageFeedback: 'wrong',
+        comment: 'Page 1 was about something else'
+    });
+    assert.strictEqual(saved.status, 200);
+    const [feedback] = pool.inserts('message_feedback');
+    assert.deepStrictEqual(feedback.params.slice(0, 6), [reply.messageId, 'unknown', 'e2e-feedback', -1, 'wrong', 'Page 1 was about something else']);
+
+    const otherSession = await postJson('/api/feedback', { messageId: reply.messageId, sessionId: 'someone-else', rating: 'up' });
+    assert.strictEqual(otherSession.status, 404);
+
+    const invalid = await postJson('/api/feedback', { messageId: reply.messageId, sessionId: 'e2e-feedback', rating: 'meh' });
+    assert.strictEqual(invalid.status, 400);
+    for (const rating of ['toString', 'constructor', ['up']]) {
+        const inherited = await postJson('/api/feedback', { messageId: reply.messageId, sessionId: 'e2e-feedback', rating });
+        assert.strictEqual(inherited.status, 400);
+    }
+});
+
+test('the evaluation harness scores retrieval and the chat path', async () => {
+    const cases = [
+        { id: 'fda', question: 'Gregg Bordowitz FDA action in Rockville', filters: {}, expected: [{ interviewId: '3', pages: ['1'] }] },
+        { id: 'missing', question: 'Karin Timour insurance', filters: {}, expected: [{ interviewId: '99', pages: null }] }
+    ];
+
+    const retrieval = await evaluateRetrieval(searchEngine, cases, { ks: [1, 2] });
+    assert.deepStrictEqual(retrieval.summary.recall, { '@1': 0.5, '@2': 0.5 });
+    assert.strictEqual(retrieval.summary.mrr, 0.5);
+    assert.strictEqual(retrieval.results[0].pageRecall, 1);
+
+    const chat = await evaluateChat({ provider, searchEngine, profile: loadBotProfiles().get('guiding-bot') }, cases);
+    assert.strictEqual(chat.summary.formatCompliance, 1);
+    assert.strictEqual(chat.summary.leakRate, 0);
+    assert.deepStrictEqual(chat.results[0].citedExpected, ['3']);
+
+    // Tag words are allowed in replies, in the score as in the live guardrail
+    const guiding = loadBotProfiles().get('guiding-bot');
+    const strict = { ...guiding, guardrail: { ...guiding.guardrail, rules: { maxSharedContentWords: 1 } } };
+    provider.enqueueReply('You can find relevant information in the transcript of Interview #3 with Gregg Bordowitz on page 1.\n\nWould you like to know where to find information about Affinity Groups?');
+    const tagged = await evaluateChat({ provider, searchEngine, profile: strict }, cases.slice(0, 1));
+    assert.strictEqual(tagged.results[0].guardrailAction, 'passed');
+    assert.strictEqual(tagged.results[0].leak, false);
+    assert.deepStrictEqual(tagged.results[0].violations, []);
+});
+
+test('chat waits for the index, which an admin can reload without a restart', async () => {
+    const indexManager = new IndexManager({
+        createEngine: () => new AISearchEngine(provider, { indexDir: path.join(tmpDir, 'index') })
+    });
+    let migrated;
+    const migrations = new Promise(resolve => {
+        migrated = resolve;
+    });
+    // The first run fails as if the database were not up yet; the retry succeeds
+    let migrationRuns = 0;
+    const runMigrations = () => (++migrationRuns === 1 ? Promise.reject(new Error('connect ECONNREFUSED')) : migrations);
+    const app = createApp({ pool: new FakePool(), provider, indexManager, adminToken: ADMIN_TOKEN, runMigrations });
+    const loading = await new Promise(resolve => {
+        const instance = app.listen(0, () => resolve(instance));
+    });
+    const url = `http://127.0.0.1:${loading.address().port}`;
+    const post = (route, body, headers = {}) => fetch(`${url}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    try {
+        assert.strictEqual((await fetch(`${url}/health/live`)).status, 200);
+        assert.strictEqual((await fetch(`${url}/health/ready`)).status, 503);
+        assert.strictEqual((await post('/api/chat', { question: 'Karin Timour insurance', sessionId: 'e2e-ready' })).status, 503);
+
+        const reload = await post('/api/admin/index/reload', {}, { Authorization: `Bearer ${ADMIN_TOKEN}` });
+        assert.strictEqual(reload.status, 200);
+        const { index } = await reload.json();
+        assert.ok(index.chunks > 0);
+        assert.ok(index.version);
+
+        // The index alone isn't enough while migrations are still running
+        const migrating = await fetch(`${url}/health/ready`);
+        assert.strictEqual(migrating.status, 503);
+        const { schema } = await migrating.json();
+        assert.strictEqual(schema.ready, false);
+        assert.strictEqual(schema.error.message, 'connect ECONNREFUSED');
+        assert.strictEqual((await post('/api/chat', { question: 'Karin Timour insurance', sessionId: 'e2e-ready' })).status, 503);
+
+        migrated([]);
+        let ready;
+        for (let i = 0; i < 100; i++) {
+            ready = await (await fetch(`${url}/health/ready`)).json();
+            if (ready.status === 'ready') break;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.strictEqual(ready.status, 'ready');
+        assert.strictEqual(ready.schema.error, null);
+        assert.strictEqual(migrationRuns, 2);
+        assert.strictEqual((await post('/api/chat', { question: 'Karin Timour insurance', sessionId: 'e2e-ready' })).status, 200);
+    } finally {
+        loading.close();
+    }
+});
+
+test('participants over the rate limit get a friendly 429', async () => {
+    const send = () => postJson('/api/chat', { question: 'Karin Timour insurance', qualtricsId: 'R_limit' });
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await send()).status, 200);
+    }
+
+    const limited = await send();
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.strictEqual((await limited.json()).status, 'rate_limited');
+
+    assert.ok(pool.inserts('bot_usage_daily').length > 0, 'expected token usage to be recorded');
+
+    // Client addresses are only taken from X-Forwarded-For when TRUST_PROXY says so
+    assert.strictEqual(trustProxyFromEnv(undefined), false);
+    assert.strictEqual(trustProxyFromEnv('1'), 1);
+    assert.deepStrictEqual(trustProxyFromEnv('loopback, 10.0.0.1'), ['loopback', '10.0.0.1']);
+    // Without a trusted proxy every participant may share one address, so there is no IP limit
+    assert.strictEqual(rateLimitsFromEnv({}).limits.ip, 0);
+    assert.strictEqual(rateLimitsFromEnv({ TRUST_PROXY: '1' }).limits.ip, 30);
+    assert.strictEqual(rateLimitsFromEnv({ RATE_LIMIT_PER_IP: '50' }).limits.ip, 50);
+
+    const tooLong = await postJson('/api/chat', { question: 'x'.repeat(5000), sessionId: 'e2e-long' });
+    assert.strictEqual(tooLong.status, 400);
+    assert.ok(!pool.queries.some(({ params }) => params.includes('e2e-long')), 'expected nothing stored for a rejected question');
+
+    const oversized = await postJson('/api/chat', { question: 'x'.repeat(30000), sessionId: 'e2e-oversized' });
+    assert.strictEqual(oversized.status, 413);
+    assert.strictEqual((await oversized.json()).status, 'too_large');
+
+    const malformed = await fetch(`${baseUrl}/api/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"question": ' });
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual((await malformed.json()).status, 'invalid_request');
+});
+
+test('the catalog lists interviews and tags without transcript text', async () => {
+    const search = await (await fetch(`${baseUrl}/api/catalog/interviews?q=bordowitz`)).json();
+    assert.strictEqual(search.total, 1);
+    assert.deepStrictEqual(Object.keys(search.interviews[0]).sort(), ['date', 'dateText', 'id', 'narrator', 'pdfName', 'tags', 'title', 'webUrl']);
+    assert.strictEqual(search.interviews[0].date, '2002-12-17');
+
+    const tags = await (await fetch(`${baseUrl}/api/catalog/tags`)).json();
+    const needleExchange = tags.tags.find(({ tag }) => tag === 'Needle Exchange');
+    assert.ok(needleExchange.count >= 1);
+
+    const tagged = await fetch(`${baseUrl}/api/catalog/tags/${encodeURIComponent('needle exchange')}/interviews`);
+    const taggedText = await tagged.text();
+    assert.strictEqual(JSON.parse(taggedText).total, needleExchange.count);
+    assert.ok(JSON.parse(taggedText).interviews.some(interview => interview.id === '3'));
+    assert.doesNotMatch(taggedText, /Rockville/);
+
+    assert.strictEqual((await fetch(`${baseUrl}/api/catalog/interviews/9999`)).status, 404);
+});
+
+test('analytics summarize conversations per bot as JSON and CSV', async () => {
+    const auth = { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } };
+    pool.stub(/WITH sessions AS/, [
+        { chatbot_id: 'guiding-bot', sessions: 4, participants: 3, turns: 10, mean_turns_per_session: 2.5, replies: 10, no_results_replies: 2, no_results_share: 0.2 }
+    ]);
+    pool.stub(/AS c\(citation\)\s+WHERE/, [
+        { chatbot_id: 'guiding-bot', interview_id: '3', citations: 5, replies: 4, sessions: 2 }
+    ]);
+    pool.stub(/COALESCE\(search_query, ''\) AS query/, [
+        { chatbot_id: 'guiding-bot', query: 'the FDA action', questions: 3, sessions: ['s1', 's2'] },
+        { chatbot_id: 'guiding-bot', query: 'FDA demonstrations in Rockville', questions: 1, sessions: ['s2'] },
+        { chatbot_id: 'guiding-bot', query: 'hello there', questions: 1, sessions: ['s3'] }
+    ]);
+
+    assert.strictEqual((await fetch(`${baseUrl}/api/admin/analytics/summary`)).status, 401);
+
+    const summary = await fetch(`${baseUrl}/api/admin/analytics/summary?format=csv&chatbotId=guiding-bot&from=2024-05-01`, auth);
+    assert.strictEqual(summary.status, 200);
+    const lines = (await summary.text()).split('\r\n');
+    assert.match(lines[0], /^chatbot_id,sessions,participants,turns,mean_turns_per_session/);
+    assert.ok(lines[1].startsWith('guiding-bot,4,3,10,2.5,'));
+    assert.ok(lines[1].endsWith(',10,2,0.2'));
+
+    const { sql, params } = pool.queries.filter(({ sql }) => /WITH sessions AS/.test(sql)).pop();
+    assert.match(sql, /chatbot_id = \$1 AND timestamp >= \$2/);
+    assert.match(sql, /content ILIKE \$3/);
+    assert.strictEqual(params[0], 'guiding-bot');
+
+    const overview = await (await fetch(`${baseUrl}/api/admin/analytics?top=5`, auth)).json();
+    assert.strictEqual(overview.interviews[0].narrator, 'Gregg Bordowitz');
+    assert.deepStrictEqual(overview.topics[0], { chatbot_id: 'guiding-bot', tag: 'Seize Control of the FDA', questions: 4, sessions: 2 });
+    assert.ok(overview.topics.some(topic => topic.tag === '' && topic.questions === 1));
+
+    assert.strictEqual((await fetch(`${baseUrl}/api/admin/analytics/nope`, auth)).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/api/admin/analytics/summary?from=not-a-date`, auth)).status, 400);
+});